@@ -0,0 +1,219 @@
+// Admin overrides: what resort staff report by hand, laid over the live data in buildState.
+//
+// Files (under DATA_DIR/admin):
+//   overrides.json  { [resortId]: { snow, lifts: { [id]: override }, runs: { ... }, announcements: [...],
+//                     hiddenCams: { [camId]: { name, reason, at, by } } } }
+//   audit.jsonl     one line per change: { t, resort, by, ip, action, target, before, after }
+//
+// Everything laid over live data carries `manual: { at, by }` so the app can say it was reported by
+// hand. Overrides stay until cleared; announcements may also carry an `until` after which they drop off.
+import path from 'node:path';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { readJsonFile, writeJsonFile, appendJsonLine, readJsonLines } from './store.mjs';
+import { MANUAL_STATUSES } from './liftproviders.mjs';
+
+export const SNOW_REPORT_FIELDS = {
+  new24h: { label: 'New snow (24h)', max: 100 },
+  base: { label: 'Base depth', max: 500 },
+  season: { label: 'Season total', max: 2000 },
+};
+const SNOW_REPORT_TEXT = ['surface', 'report'];
+const SNOW_REPORT_KEYS = [...Object.keys(SNOW_REPORT_FIELDS), ...SNOW_REPORT_TEXT];
+const ANNOUNCEMENT_LEVELS = ['info', 'warning'];
+
+let files = null;
+let overrides = {};
+let saving = Promise.resolve();
+
+// Express middleware: lets a request through only with `Authorization: Bearer <token>`
+export function requireToken(token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (req, res, next) => {
+    if (!token) return res.status(403).json({ error: 'ADMIN_TOKEN is not set on the server' });
+    const given = Buffer.from(String(req.get('Authorization') || ''));
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+  };
+}
+
+export async function loadAdmin({ dir }) {
+  files = { overrides: path.join(dir, 'overrides.json'), audit: path.join(dir, 'audit.jsonl') };
+  overrides = await readJsonFile(files.overrides, {});
+}
+
+const empty = () => ({ snow: null, lifts: {}, runs: {}, announcements: [], hiddenCams: {} });
+
+export function getOverrides(resortId) {
+  return { ...empty(), ...overrides[resortId] };
+}
+
+// Applies `change(current)` to the resort's overrides, saves, and audits it. `who` is { by, ip }.
+// `change` returns null when there is nothing to change (clearing what isn't set); that resolves to false.
+// Changes are chained so each one applies on top of the last. The new overrides only take effect once
+// they are saved and audited; a failed write rejects for the caller and leaves them as they were.
+function update(resortId, who, action, target, change) {
+  const written = saving.then(async () => {
+    const result = change(getOverrides(resortId));
+    if (!result) return false;
+    const { next, before, after } = result;
+    const all = { ...overrides, [resortId]: next };
+    const entry = { t: new Date().toISOString(), resort: resortId, ...who, action, target, before, after };
+    await writeJsonFile(files.overrides, all);
+    await appendJsonLine(files.audit, entry);
+    overrides = all;
+    return after;
+  });
+  saving = written.catch(() => {});
+  return written;
+}
+
+const stamp = (who) => ({ at: new Date().toISOString(), by: who.by || null });
+
+// --- Validation: each returns an error message, or null when the input is fine ---
+export function validateSnowReport(input) {
+  if (!input || typeof input !== 'object') return 'report must be an object';
+  for (const [field, { max }] of Object.entries(SNOW_REPORT_FIELDS)) {
+    const v = input[field];
+    if (v != null && !(typeof v === 'number' && v >= 0 && v <= max)) return `${field} must be 0-${max} inches`;
+  }
+  if (input.surface != null && (typeof input.surface !== 'string' || input.surface.length > 100)) {
+    return 'surface must be up to 100 characters';
+  }
+  if (input.report != null && (typeof input.report !== 'string' || input.report.length > 1000)) {
+    return 'report must be up to 1000 characters';
+  }
+  const given = SNOW_REPORT_KEYS.filter((f) => input[f] != null);
+  return given.length ? null : 'report needs at least one field';
+}
+
+export function validateStatusOverride(input) {
+  if (!input || !MANUAL_STATUSES.includes(input.status)) return `status must be one of ${MANUAL_STATUSES.join(', ')}`;
+  if (input.note != null && (typeof input.note !== 'string' || input.note.length > 200)) {
+    return 'note must be up to 200 characters';
+  }
+  return null;
+}
+
+export function validateAnnouncement(input) {
+  const { text, level = 'info', until = null } = input || {};
+  if (typeof text !== 'string' || !text.trim() || text.length > 500) return 'text must be 1-500 characters';
+  if (!ANNOUNCEMENT_LEVELS.includes(level)) return `level must be one of ${ANNOUNCEMENT_LEVELS.join(', ')}`;
+  if (until != null && !Number.isFinite(Date.parse(until))) return 'until must be a date';
+  return null;
+}
+
+// `input` is { name, reason }, both optional
+export function validateHiddenCam(input) {
+  const { name = null, reason = null } = input || {};
+  if (name != null && (typeof name !== 'string' || name.length > 100)) return 'name must be up to 100 characters';
+  if (reason != null && (typeof reason !== 'string' || reason.length > 200)) {
+    return 'reason must be up to 200 characters';
+  }
+  return null;
+}
+
+// --- Changes: each resolves to the saved override, null once cleared, or false if nothing was set ---
+export function setSnowReport(resortId, who, input) {
+  return update(resortId, who, 'snow.set', null, (o) => {
+    const pick = (f) => (input[f] == null ? null : typeof input[f] === 'string' ? input[f].trim() : input[f]);
+    const after = {
+      ...Object.fromEntries(Object.keys(SNOW_REPORT_FIELDS).map((f) => [f, pick(f)])),
+      ...Object.fromEntries(SNOW_REPORT_TEXT.map((f) => [f, pick(f) || null])),
+      ...stamp(who),
+    };
+    return { next: { ...o, snow: after }, before: o.snow, after };
+  });
+}
+
+export function clearSnowReport(resortId, who) {
+  return update(resortId, who, 'snow.clear', null, (o) =>
+    o.snow ? { next: { ...o, snow: null }, before: o.snow, after: null } : null
+  );
+}
+
+// `kind` is 'lifts' or 'runs'; `id` is the catalog id shown in state
+export function setStatusOverride(resortId, who, kind, id, { status, note = null }) {
+  return update(resortId, who, `${kind}.set`, id, (o) => {
+    const after = { status, note: note?.trim() || null, ...stamp(who) };
+    return { next: { ...o, [kind]: { ...o[kind], [id]: after } }, before: o[kind][id] || null, after };
+  });
+}
+
+export function clearStatusOverride(resortId, who, kind, id) {
+  return update(resortId, who, `${kind}.clear`, id, (o) => {
+    const { [id]: before, ...rest } = o[kind];
+    return before ? { next: { ...o, [kind]: rest }, before, after: null } : null;
+  });
+}
+
+export function addAnnouncement(resortId, who, { text, level = 'info', until = null }) {
+  const after = { id: randomUUID(), text: text.trim(), level, until, ...stamp(who) };
+  return update(resortId, who, 'announcement.add', after.id, (o) => ({
+    next: { ...o, announcements: [after, ...o.announcements] },
+    before: null,
+    after,
+  }));
+}
+
+export function removeAnnouncement(resortId, who, id) {
+  return update(resortId, who, 'announcement.remove', id, (o) => {
+    const before = o.announcements.find((a) => a.id === id);
+    return before
+      ? { next: { ...o, announcements: o.announcements.filter((a) => a !== before) }, before, after: null }
+      : null;
+  });
+}
+
+export function hideCam(resortId, who, id, { name = null, reason = null } = {}) {
+  return update(resortId, who, 'cam.hide', id, (o) => {
+    const after = { name, reason: reason?.trim() || null, ...stamp(who) };
+    return { next: { ...o, hiddenCams: { ...o.hiddenCams, [id]: after } }, before: o.hiddenCams[id] || null, after };
+  });
+}
+
+export function showCam(resortId, who, id) {
+  return update(resortId, who, 'cam.show', id, (o) => {
+    const { [id]: before, ...rest } = o.hiddenCams;
+    return before ? { next: { ...o, hiddenCams: rest }, before, after: null } : null;
+  });
+}
+
+// Newest first
+export async function readAudit(resortId, limit = 100) {
+  if (!files) return [];
+  const rows = await readJsonLines(files.audit);
+  return rows
+    .filter((e) => !resortId || e.resort === resortId)
+    .reverse()
+    .slice(0, limit);
+}
+
+// --- Merging over live data (buildState) ---
+// The staff report wins field by field; forecast numbers fill whatever it leaves out.
+export function withSnowReport(snow, report) {
+  if (!report) return snow;
+  const reported = Object.fromEntries(SNOW_REPORT_KEYS.filter((f) => report[f] != null).map((f) => [f, report[f]]));
+  return {
+    new24h: null,
+    new48h: null,
+    new72h: null,
+    ...snow,
+    ...reported,
+    updated: report.at,
+    manual: { at: report.at, by: report.by, fields: Object.keys(reported) },
+  };
+}
+
+export function withStatusOverrides(items, byId) {
+  return items.map((item) => {
+    const o = byId[item.id];
+    if (!o) return item;
+    return { ...item, status: o.status, notes: o.note || item.notes, updated: o.at, manual: { at: o.at, by: o.by } };
+  });
+}
+
+export function activeAnnouncements(list, now = Date.now()) {
+  return list.filter((a) => !a.until || Date.parse(a.until) > now);
+}
@@ -0,0 +1,339 @@
+// Condition alerts: user rules evaluated against every built state, delivered to webhooks and SMTP.
+//
+// Files (under DATA_DIR/alerts):
+//   rules.json     [rule]
+//   state.json     { [ruleId]: { active, value, at } }   last evaluation, used for dedup
+//   history.jsonl  one line per fired alert with its delivery results
+//
+// Rules are edge-triggered: a threshold rule fires when its condition becomes true and not again
+// until it has been false in between; a "changes" rule fires when the watched value differs from
+// the last one seen. A new or edited threshold rule starts out inactive, so a condition that is
+// already true fires once on its first evaluation; a "changes" rule's first evaluation only records
+// the current value. Evaluation state is persisted so a restart doesn't re-send.
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import nodemailer from 'nodemailer';
+import { getResort } from './resorts.mjs';
+import { readJsonFile, writeJsonFile, appendJsonLine, readJsonLines } from './store.mjs';
+
+function matches(name, target) {
+  if (!target) return true;
+  return String(name || '').toLowerCase().includes(target.toLowerCase());
+}
+const numbers = (xs) => xs.filter((x) => typeof x === 'number' && Number.isFinite(x));
+const maxOrUndefined = (xs) => (xs.length ? Math.max(...xs) : undefined);
+const minOrUndefined = (xs) => (xs.length ? Math.min(...xs) : undefined);
+
+// `read(state, target)` returns the watched value, or undefined when the data isn't there
+// (in which case the rule is skipped, not reset). `target` narrows stations/passes by name.
+export const ALERT_METRICS = {
+  snow24h: {
+    label: 'Forecast snow next 24h',
+    unit: 'in',
+    kind: 'number',
+    read: (s) => s.FORECAST?.totals?.snow24h ?? undefined,
+  },
+  snow48h: {
+    label: 'Forecast snow next 48h',
+    unit: 'in',
+    kind: 'number',
+    read: (s) => s.FORECAST?.totals?.snow48h ?? undefined,
+  },
+  snow72h: {
+    label: 'Forecast snow next 72h',
+    unit: 'in',
+    kind: 'number',
+    read: (s) => s.FORECAST?.totals?.snow72h ?? undefined,
+  },
+  avalancheLevel: { label: 'NWAC danger level', unit: '', kind: 'number', read: (s) => s.AVAL?.level ?? undefined },
+  stationGust: {
+    label: 'Station gust',
+    unit: 'mph',
+    kind: 'number',
+    target: 'station',
+    read: (s, t) => maxOrUndefined(numbers((s.WEATHER || []).filter((w) => matches(w.name, t)).map((w) => w.gust))),
+  },
+  stationWind: {
+    label: 'Station wind',
+    unit: 'mph',
+    kind: 'number',
+    target: 'station',
+    read: (s, t) => maxOrUndefined(numbers((s.WEATHER || []).filter((w) => matches(w.name, t)).map((w) => w.wind))),
+  },
+  stationTemp: {
+    label: 'Station temperature',
+    unit: '°F',
+    kind: 'number',
+    target: 'station',
+    read: (s, t) => minOrUndefined(numbers((s.WEATHER || []).filter((w) => matches(w.name, t)).map((w) => w.temp))),
+  },
+  passRestriction: {
+    label: 'Pass restriction',
+    unit: '',
+    kind: 'text',
+    target: 'pass',
+    read: (s, t) => {
+      const pass = (s.ROADS?.passes || []).find((p) => matches(p.name, t));
+      return pass ? pass.restriction || 'none' : undefined;
+    },
+  },
+  passStatus: {
+    label: 'Pass status',
+    unit: '',
+    kind: 'text',
+    target: 'pass',
+    read: (s, t) => {
+      const pass = (s.ROADS?.passes || []).find((p) => matches(p.name, t));
+      return pass ? pass.status || 'unknown' : undefined;
+    },
+  },
+};
+
+export const OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => String(a).toLowerCase() === String(b).toLowerCase(),
+  '!=': (a, b) => String(a).toLowerCase() !== String(b).toLowerCase(),
+  changes: null,
+};
+const TEXT_OPS = ['changes', '==', '!='];
+
+let files = null;
+let emailFrom = '';
+let deliveryTimeoutMs = 8000;
+let rules = [];
+let ruleState = {};
+let transport = null;
+let saving = Promise.resolve();
+
+// `transport` (anything with nodemailer's sendMail) stands in for SMTP_URL, e.g. in tests.
+export async function loadAlerts({ dir, smtpUrl = '', emailFrom: from = '', transport: t = null, timeoutMs = 8000 }) {
+  files = {
+    rules: path.join(dir, 'rules.json'),
+    state: path.join(dir, 'state.json'),
+    history: path.join(dir, 'history.jsonl'),
+  };
+  emailFrom = from;
+  deliveryTimeoutMs = timeoutMs;
+  transport = t || (smtpUrl ? nodemailer.createTransport(smtpUrl) : null);
+  rules = await readJsonFile(files.rules, []);
+  ruleState = await readJsonFile(files.state, {});
+}
+
+// Writes are chained so concurrent changes land in order; a failed one still rejects for its caller.
+function queue(fn) {
+  const done = saving.then(fn);
+  saving = done.catch(() => {});
+  return done;
+}
+const save = (file, value) => queue(() => writeJsonFile(file, value));
+
+// --- Rules CRUD ---
+// Returns an error message, or null when `input` is a valid rule.
+export function validateRule(input) {
+  if (!input || typeof input !== 'object') return 'rule must be an object';
+  const { name, resort, metric, target, op, value, webhooks = [], emails = [] } = input;
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) return 'name must be 1-100 characters';
+  if (!getResort(resort)) return `unknown resort: ${resort}`;
+
+  const m = ALERT_METRICS[metric];
+  if (!m) return `metric must be one of ${Object.keys(ALERT_METRICS).join(', ')}`;
+  if (target != null && (typeof target !== 'string' || !m.target)) return `metric ${metric} does not take a target`;
+  if (!(op in OPS)) return `op must be one of ${Object.keys(OPS).join(', ')}`;
+  if (m.kind === 'text' && !TEXT_OPS.includes(op)) return `metric ${metric} only supports ${TEXT_OPS.join(', ')}`;
+  if (op !== 'changes' && m.kind === 'number' && typeof value !== 'number') return 'value must be a number';
+  if (op !== 'changes' && m.kind === 'text' && typeof value !== 'string') return 'value must be a string';
+
+  if (!Array.isArray(webhooks) || !webhooks.every((u) => /^https?:\/\//i.test(u))) {
+    return 'webhooks must be a list of http(s) URLs';
+  }
+  if (!Array.isArray(emails) || !emails.every((e) => typeof e === 'string' && e.includes('@'))) {
+    return 'emails must be a list of addresses';
+  }
+  return null;
+}
+
+function normalizeRule(input, existing = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: existing.id || randomUUID(),
+    name: input.name.trim(),
+    resort: input.resort,
+    metric: input.metric,
+    target: input.target ?? null,
+    op: input.op,
+    value: input.op === 'changes' ? null : input.value,
+    enabled: input.enabled !== false,
+    webhooks: input.webhooks || [],
+    emails: input.emails || [],
+    createdAt: existing.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+export function listRules() {
+  return rules;
+}
+
+export function getRule(id) {
+  return rules.find((r) => r.id === id) || null;
+}
+
+// Rule changes are queued with the other writes and only take effect once they are on disk.
+export function createRule(input) {
+  const rule = normalizeRule(input);
+  return queue(async () => {
+    const next = [...rules, rule];
+    await writeJsonFile(files.rules, next);
+    rules = next;
+    return rule;
+  });
+}
+
+export function updateRule(id, input) {
+  return queue(async () => {
+    const existing = getRule(id);
+    if (!existing) return null;
+    const rule = normalizeRule(input, existing);
+    const next = rules.map((r) => (r.id === id ? rule : r));
+    await writeRulesAndForget(next, id);
+    return rule;
+  });
+}
+
+export function deleteRule(id) {
+  return queue(async () => {
+    if (!getRule(id)) return false;
+    const next = rules.filter((r) => r.id !== id);
+    await writeRulesAndForget(next, id);
+    return true;
+  });
+}
+
+// A changed or removed rule starts from a clean slate
+async function writeRulesAndForget(next, id) {
+  const nextState = { ...ruleState };
+  delete nextState[id];
+  await writeJsonFile(files.rules, next);
+  await writeJsonFile(files.state, nextState);
+  rules = next;
+  delete ruleState[id];
+}
+
+// --- Evaluation ---
+function describe(rule, value) {
+  const m = ALERT_METRICS[rule.metric];
+  const what = `${m.label}${rule.target ? ` (${rule.target})` : ''}`;
+  const shown = `${value}${m.unit && m.kind === 'number' ? ` ${m.unit}` : ''}`;
+  if (rule.op === 'changes') return `${rule.name}: ${what} changed to "${shown}"`;
+  return `${rule.name}: ${what} is ${shown} (${rule.op} ${rule.value})`;
+}
+
+// Call with every freshly built state. Fires (and delivers) newly triggered rules for that resort and
+// returns them as [{ rule, value, previous }].
+export function evaluateAlerts(state) {
+  const resortId = state?.resort?.id;
+  if (!files || !resortId) return [];
+
+  const fired = [];
+  let changed = false;
+  for (const rule of rules) {
+    if (!rule.enabled || rule.resort !== resortId) continue;
+    const value = ALERT_METRICS[rule.metric]?.read(state, rule.target);
+    if (value === undefined) continue;
+
+    const prev = ruleState[rule.id];
+    let active;
+    let fire;
+    if (rule.op === 'changes') {
+      active = true;
+      fire = prev !== undefined && prev.value !== value;
+    } else {
+      active = OPS[rule.op](value, rule.value);
+      fire = active && !prev?.active;
+    }
+
+    if (!prev || prev.active !== active || prev.value !== value) {
+      ruleState[rule.id] = { active, value, at: state.generatedAt };
+      changed = true;
+    }
+    if (fire) fired.push({ rule, value, previous: prev?.value ?? null });
+  }
+
+  if (changed) save(files.state, ruleState).catch((err) => console.error('[alerts] write state error', err));
+  for (const f of fired) {
+    fireAlert(f.rule, f.value, f.previous, state).catch((err) => console.error('[alerts] deliver error', err));
+  }
+  return fired;
+}
+
+async function fireAlert(rule, value, previous, state, { test = false } = {}) {
+  const event = {
+    id: randomUUID(),
+    time: new Date().toISOString(),
+    test,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    resort: rule.resort,
+    metric: rule.metric,
+    target: rule.target,
+    value,
+    previous,
+    message: `${test ? '[test] ' : ''}${describe(rule, value)}`,
+    generatedAt: state?.generatedAt || null,
+  };
+  event.deliveries = await deliver(rule, event);
+  await appendJsonLine(files.history, event);
+  return event;
+}
+
+async function deliver(rule, event) {
+  const payload = { ...event };
+  delete payload.deliveries;
+
+  const webhookResults = rule.webhooks.map(async (url) => {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(deliveryTimeoutMs),
+      });
+      return { channel: 'webhook', to: url, ok: res.ok, status: res.status };
+    } catch (err) {
+      return { channel: 'webhook', to: url, ok: false, error: err.message };
+    }
+  });
+
+  const emailResults = rule.emails.map(async (to) => {
+    if (!transport) return { channel: 'email', to, ok: false, error: 'SMTP_URL is not set' };
+    try {
+      await transport.sendMail({
+        from: emailFrom,
+        to,
+        subject: event.message,
+        text: `${event.message}\n\nResort: ${event.resort}\nTime: ${event.time}\n`,
+      });
+      return { channel: 'email', to, ok: true };
+    } catch (err) {
+      return { channel: 'email', to, ok: false, error: err.message };
+    }
+  });
+
+  return Promise.all([...webhookResults, ...emailResults]);
+}
+
+// Send a rule's notification now with the given state's value, regardless of dedup.
+export async function sendTestAlert(id, state) {
+  const rule = getRule(id);
+  if (!rule) return null;
+  const value = ALERT_METRICS[rule.metric].read(state || {}, rule.target);
+  return fireAlert(rule, value ?? null, null, state, { test: true });
+}
+
+export async function readAlertHistory(limit = 100) {
+  if (!files) return [];
+  return (await readJsonLines(files.history, limit)).reverse();
+}
@@ -0,0 +1,93 @@
+// avalanche.org (NWAC) forecast products -> the AVAL section. Danger is rated per elevation band
+// (NWAC: upper = above treeline, middle = near, lower = below) for today and tomorrow; problem
+// locations are "<aspect> <band>" strings such as "northeast upper".
+const DANGER_NAMES = { 1: 'Low', 2: 'Moderate', 3: 'Considerable', 4: 'High', 5: 'Extreme' };
+const AVAL_BANDS = { upper: 'above', middle: 'near', lower: 'below' };
+const AVAL_ASPECTS = {
+  north: 'N',
+  northeast: 'NE',
+  east: 'E',
+  southeast: 'SE',
+  south: 'S',
+  southwest: 'SW',
+  west: 'W',
+  northwest: 'NW',
+};
+
+export function stripHtml(html) {
+  if (typeof html !== 'string') return null;
+  const text = html
+    .replace(/<\/(p|div|li|h\d)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return text || null;
+}
+
+// Ratings outside 1-5 (-1 "no rating", 0 "none") come back as null.
+const dangerLevel = (x) => (Number.isInteger(Number(x)) && Number(x) >= 1 && Number(x) <= 5 ? Number(x) : null);
+
+// { above, near, below } danger levels plus the overall (highest) rating, or null
+export function avalancheDay(rating) {
+  if (!rating) return null;
+  const elevations = {
+    above: dangerLevel(rating.upper),
+    near: dangerLevel(rating.middle),
+    below: dangerLevel(rating.lower),
+  };
+  const levels = Object.values(elevations).filter((x) => x != null);
+  if (levels.length === 0) return null;
+  const level = Math.max(...levels);
+  return { level, danger: DANGER_NAMES[level], elevations };
+}
+
+export function avalancheProblem(p) {
+  const locations = (Array.isArray(p?.location) ? p.location : [])
+    .map((loc) => {
+      const [aspect, band] = String(loc).toLowerCase().trim().split(/\s+/);
+      return AVAL_ASPECTS[aspect] && AVAL_BANDS[band] ? { aspect: AVAL_ASPECTS[aspect], band: AVAL_BANDS[band] } : null;
+    })
+    .filter(Boolean);
+  const sizes = (Array.isArray(p?.size) ? p.size : []).map(Number).filter(Number.isFinite);
+
+  return {
+    name: p?.name || 'Avalanche problem',
+    rank: p?.rank ?? null,
+    likelihood: p?.likelihood || null,
+    size: sizes.length ? { min: Math.min(...sizes), max: Math.max(...sizes) } : null,
+    locations,
+    aspects: Object.values(AVAL_ASPECTS).filter((a) => locations.some((l) => l.aspect === a)),
+    elevations: Object.values(AVAL_BANDS).filter((b) => locations.some((l) => l.band === b)),
+    discussion: stripHtml(p?.discussion),
+  };
+}
+
+// One product (or the one-element list the API returns) -> { level, danger, elevations, outlook, problems, ... }
+export function parseAvalancheForecast(data) {
+  const forecast = Array.isArray(data) ? data[0] : data;
+  const ratings = Array.isArray(forecast?.danger) ? forecast.danger : [];
+  const today = avalancheDay(ratings.find((d) => d?.valid_day === 'current'));
+  const outlook = avalancheDay(ratings.find((d) => d?.valid_day === 'tomorrow'));
+
+  const problems = (Array.isArray(forecast?.forecast_avalanche_problems) ? forecast.forecast_avalanche_problems : [])
+    .map(avalancheProblem)
+    .sort((a, b) => (a.rank ?? 99) - (b.rank ?? 99));
+
+  return {
+    level: today?.level ?? null,
+    danger: today?.danger ?? null,
+    elevations: today?.elevations ?? null,
+    outlook,
+    problems,
+    summary: stripHtml(forecast?.bottom_line),
+    published: forecast?.published_time || null,
+    expires: forecast?.expires_time || null,
+    link: forecast?.url || 'https://nwac.us',
+  };
+}
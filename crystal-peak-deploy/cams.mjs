@@ -0,0 +1,170 @@
+// Camera image proxy: upstream frames are cached on disk with a thumbnail, and kept for a rolling
+// window so the UI can play them back as a timelapse.
+//
+// Files (under DATA_DIR/cams/<camId>):
+//   <capturedMs>.jpg        full frame
+//   <capturedMs>.thumb.jpg  thumbnail
+//
+// Capture time comes from the upstream Last-Modified header (then Date, then the fetch time).
+// A frame whose capture time matches the last one seen is not stored again, so polling a camera
+// that hasn't updated costs nothing but the request. Nor is a frame already older than the archive
+// window: it would only be pruned and fetched again.
+import path from 'node:path';
+import fs from 'node:fs';
+import sharp from 'sharp';
+
+const FETCH_TIMEOUT_MS = 10000;
+const THUMB_WIDTH = 320;
+const FRAME_TTL_MS = 60 * 1000; // how often /image re-checks upstream
+
+let dir = null;
+let archiveMs = 12 * 60 * 60 * 1000;
+let timer = null;
+
+const cams = new Map(); // id -> { url, seenAt }
+const frames = new Map(); // id -> capture times (ms), oldest first
+const checkedAt = new Map(); // id -> last upstream fetch (ms)
+const seenAt = new Map(); // id -> capture time of the last upstream frame (ms), stored or not
+const inflight = new Map(); // id -> Promise
+
+const frameFile = (id, t, size) => path.join(dir, String(id), `${t}${size === 'thumb' ? '.thumb' : ''}.jpg`);
+
+export async function loadCams({ dir: d, archiveHours, captureMinutes }) {
+  dir = d;
+  if (archiveHours) archiveMs = archiveHours * 60 * 60 * 1000;
+
+  // Rebuild the frame index from disk
+  let ids = [];
+  try {
+    ids = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  for (const id of ids) {
+    const names = await fs.promises.readdir(path.join(dir, id)).catch(() => []);
+    const times = names
+      .map((n) => /^(\d+)\.jpg$/.exec(n)?.[1])
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b);
+    if (times.length) frames.set(id, times);
+  }
+
+  clearInterval(timer);
+  timer = setInterval(
+    () => captureAll().catch((err) => console.error('[cams] capture error', err)),
+    captureMinutes * 60 * 1000
+  );
+  timer.unref();
+}
+
+// Called with each resort's WSDOT cameras ({ id, image }) as states are built. New cameras get
+// their first frame right away; after that the capture timer keeps the archive going.
+export function registerCams(list) {
+  const now = Date.now();
+  for (const c of list) {
+    const id = String(c.id);
+    const isNew = !cams.has(id);
+    cams.set(id, { url: c.image, seenAt: now });
+    if (isNew && !frames.has(id)) capture(id).catch((err) => console.error(`[cams] ${id} error`, err.message));
+  }
+}
+
+export function latestCapture(id) {
+  const times = frames.get(String(id));
+  return times?.length ? times[times.length - 1] : null;
+}
+
+export function listFrames(id, since = 0) {
+  return (frames.get(String(id)) || []).filter((t) => t >= since);
+}
+
+// Returns { file, capturedAt } or null. `t` is a capture time, or 'latest' to refresh from
+// upstream when the last check is older than the frame TTL (falling back to the cached frame).
+export async function getFrame(id, t, size) {
+  id = String(id);
+  if (t === 'latest') {
+    if (!cams.has(id) && !frames.has(id)) return null;
+    if (cams.has(id) && Date.now() - (checkedAt.get(id) || 0) > FRAME_TTL_MS) {
+      try {
+        await capture(id);
+      } catch (err) {
+        if (!latestCapture(id)) throw err;
+        console.error(`[cams] ${id} error, serving cached frame`, err.message);
+      }
+    }
+    // A first capture may still be on its way
+    await inflight.get(id)?.catch(() => {});
+    t = latestCapture(id);
+    if (t == null) throw new Error(`camera ${id} has no frame within the archive window`);
+  } else if (!(frames.get(id) || []).includes(t)) {
+    return null;
+  }
+  return { file: frameFile(id, t, size), capturedAt: t };
+}
+
+function capture(id) {
+  if (!inflight.has(id)) {
+    const p = fetchFrame(id).finally(() => inflight.delete(id));
+    inflight.set(id, p);
+  }
+  return inflight.get(id);
+}
+
+async function fetchFrame(id) {
+  const cam = cams.get(id);
+  checkedAt.set(id, Date.now());
+  const res = await fetch(cam.url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`camera ${id} failed: ${res.status}`);
+  if (!String(res.headers.get('content-type')).startsWith('image/')) throw new Error(`camera ${id} is not an image`);
+
+  const capturedAt = Date.parse(res.headers.get('last-modified')) || Date.parse(res.headers.get('date')) || Date.now();
+  if (capturedAt === (seenAt.get(id) ?? latestCapture(id))) return;
+  if (capturedAt < Date.now() - archiveMs) {
+    seenAt.set(id, capturedAt);
+    return;
+  }
+
+  const full = Buffer.from(await res.arrayBuffer());
+  const thumb = await sharp(full)
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  await fs.promises.mkdir(path.join(dir, id), { recursive: true });
+  await fs.promises.writeFile(frameFile(id, capturedAt), full);
+  await fs.promises.writeFile(frameFile(id, capturedAt, 'thumb'), thumb);
+
+  const times = [...(frames.get(id) || []), capturedAt].sort((a, b) => a - b);
+  frames.set(id, times);
+  seenAt.set(id, capturedAt);
+}
+
+// One camera at a time; thumbnailing is CPU work and WSDOT doesn't need a burst of requests.
+async function captureAll() {
+  const now = Date.now();
+  for (const [id, cam] of cams) {
+    // Stop following cameras no resort has shown for a whole archive window
+    if (now - cam.seenAt > archiveMs) {
+      cams.delete(id);
+      seenAt.delete(id);
+      continue;
+    }
+    await capture(id).catch((err) => console.error(`[cams] ${id} error`, err.message));
+  }
+  await prune(now - archiveMs);
+}
+
+async function prune(before) {
+  for (const [id, times] of frames) {
+    const old = times.filter((t) => t < before);
+    if (old.length === 0) continue;
+    const keep = times.filter((t) => t >= before);
+    if (keep.length) frames.set(id, keep);
+    else frames.delete(id);
+    for (const t of old) {
+      await fs.promises.rm(frameFile(id, t), { force: true });
+      await fs.promises.rm(frameFile(id, t, 'thumb'), { force: true });
+    }
+  }
+}
@@ -0,0 +1,62 @@
+// Static lift and run catalog: what doesn't change day to day (elevations, length, capacity, ride
+// time, area, difficulty, wind exposure). One file per resort, checked in:
+//
+//   catalog/<resortId>.json  { schema: 1, version: "2026.10.1", lifts: [...], runs: [...] }
+//
+// `schema` is the file format and must match SCHEMA; `version` is the data revision (bump it with
+// every edit) and is served as state.resort.catalogVersion. Entries may list `aliases` for names a
+// provider spells differently. Elevations, vertical and length are feet; rideMinutes is minutes.
+import path from 'node:path';
+import { readJsonFile } from './store.mjs';
+
+const SCHEMA = 1;
+
+const catalogs = new Map(); // resortId -> { version, lifts, runs }
+
+export async function loadCatalogs({ dir, resortIds }) {
+  for (const id of resortIds) {
+    const file = await readJsonFile(path.join(dir, `${id}.json`), null);
+    if (!file) continue;
+    if (file.schema !== SCHEMA) throw new Error(`catalog/${id}.json has schema ${file.schema}, expected ${SCHEMA}`);
+    catalogs.set(id, {
+      version: file.version ?? null,
+      lifts: Array.isArray(file.lifts) ? file.lifts : [],
+      runs: Array.isArray(file.runs) ? file.runs : [],
+    });
+  }
+}
+
+export function getCatalog(resortId) {
+  return catalogs.get(resortId) || null;
+}
+
+const nameKey = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+const present = (v) => v != null && v !== '';
+
+// Catalog entries in catalog order with the live fields laid over them, then any live items the
+// catalog doesn't know. A live item matches by id first, then by name or alias. Matched items keep
+// the catalog id and name (so favorites and history stay put) and the provider's id as providerId.
+// Entries nothing matched come back with status 'unknown', so the lists work without a provider.
+export function mergeCatalog(live, entries = []) {
+  const items = Array.isArray(live) ? live : [];
+  const used = new Set();
+  const take = (match) => {
+    const i = items.findIndex((l, j) => !used.has(j) && match(l));
+    if (i !== -1) used.add(i);
+    return i === -1 ? null : items[i];
+  };
+
+  const merged = entries.map(({ aliases = [], ...entry }) => {
+    const names = [entry.name, ...aliases].map(nameKey);
+    const l =
+      take((x) => entry.id != null && String(x.id) === String(entry.id)) ||
+      take((x) => names.includes(nameKey(x.name)));
+    if (!l) return { ...entry, status: 'unknown' };
+    const liveFields = Object.fromEntries(Object.entries(l).filter(([, v]) => present(v)));
+    return { ...entry, ...liveFields, id: entry.id, name: entry.name, providerId: l.id };
+  });
+  return [...merged, ...items.filter((_, i) => !used.has(i))];
+}
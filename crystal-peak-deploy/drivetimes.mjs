@@ -0,0 +1,57 @@
+// WSDOT TravelTimes routes (GetTravelTimesAsJson) -> the DRIVE section.
+//
+// Each origin's `segments` are matched exactly: a number is a TravelTimeID, a string the route's full
+// Name (case and spacing aside). An origin is only totalled when every segment is in the feed with a
+// live time; otherwise `current`/`average` are null rather than a partial sum, and the missing
+// segments are logged so a renamed or retired route shows up.
+import { safeJsonParseDate } from './http.mjs';
+
+const normalizeName = (name) =>
+  String(name || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+const minutes = (x) => (typeof x === 'number' && x > 0 ? x : null);
+
+function findRoute(routes, match) {
+  if (typeof match === 'number') return routes.find((r) => r.TravelTimeID === match);
+  return routes.find((r) => normalizeName(r.Name) === normalizeName(match));
+}
+
+// origins: a resort's driveOrigins; data: the TravelTimes response
+export function buildDriveTimes(origins, data) {
+  const routes = Array.isArray(data) ? data : [];
+  return {
+    origins: origins.map((o) => {
+      const segments = o.segments.map((match) => {
+        const r = findRoute(routes, match);
+        if (!r) return { id: null, name: String(match), current: null, average: null, miles: null, updated: null };
+        return {
+          id: r.TravelTimeID,
+          name: r.Name,
+          current: minutes(r.CurrentTime),
+          average: minutes(r.AverageTime),
+          miles: r.Distance ?? null,
+          updated: safeJsonParseDate(r.TimeUpdated),
+        };
+      });
+
+      const missing = segments.filter((seg) => seg.id == null).map((seg) => seg.name);
+      if (missing.length) console.error(`[drive] ${o.id}: no WSDOT travel time for ${missing.join(', ')}`);
+      const complete = segments.every((seg) => seg.current != null && seg.average != null);
+      const total = (field) => (complete ? segments.reduce((sum, seg) => sum + seg[field], o.baseMinutes || 0) : null);
+
+      return {
+        id: o.id,
+        name: o.name,
+        via: o.via || [],
+        passes: o.passes || null,
+        baseMinutes: o.baseMinutes || 0,
+        current: total('current'),
+        average: total('average'),
+        complete,
+        segments,
+      };
+    }),
+  };
+}
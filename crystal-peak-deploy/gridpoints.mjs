@@ -0,0 +1,74 @@
+// NWS gridpoint layers (forecastGridData) -> per-hour values. A layer is a list of values that
+// each hold over an ISO 8601 interval; these spread them out to one entry per hour start.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ISO 8601 duration as used in NWS validTime ("PT6H", "P1DT12H") -> hours
+export function isoDurationHours(dur) {
+  const m = typeof dur === 'string' ? dur.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/) : null;
+  if (!m) return null;
+  return Number(m[1] || 0) * 24 + Number(m[2] || 0) + Number(m[3] || 0) / 60;
+}
+
+const INCHES_PER_UNIT = { 'wmoUnit:mm': 1 / 25.4, 'wmoUnit:cm': 1 / 2.54, 'wmoUnit:m': 39.3701, 'wmoUnit:in': 1 };
+
+// NWS gridpoint layers look like
+//   { uom: "wmoUnit:mm", values: [{ validTime: "2026-01-14T06:00:00+00:00/PT6H", value: 12.7 }] }
+// Spread each interval's amount evenly over its hours -> Map<hour start ms, inches>.
+export function gridLayerToHourlyInches(layer) {
+  const byHour = new Map();
+  const factor = INCHES_PER_UNIT[layer?.uom];
+  if (!factor || !Array.isArray(layer?.values)) return byHour;
+
+  for (const v of layer.values) {
+    const [start, dur] = String(v?.validTime || '').split('/');
+    const startMs = Date.parse(start);
+    const hours = isoDurationHours(dur);
+    const amount = Number(v?.value);
+    if (!Number.isFinite(startMs) || !hours || !Number.isFinite(amount)) continue;
+
+    const perHour = (amount * factor) / hours;
+    for (let h = 0; h < hours; h++) {
+      const t = startMs + h * HOUR_MS;
+      byHour.set(t, (byHour.get(t) || 0) + perHour);
+    }
+  }
+  return byHour;
+}
+
+// Sum a per-hour map over [startMs, endMs). Returns null when the map is empty (no data).
+export function sumInches(byHour, startMs, endMs) {
+  if (byHour.size === 0 || !Number.isFinite(startMs) || !Number.isFinite(endMs)) return null;
+  let total = 0;
+  for (const [t, inches] of byHour) {
+    if (t >= startMs && t < endMs) total += inches;
+  }
+  return Math.round(total * 10) / 10;
+}
+
+// Units the instantaneous layers come in -> what we serve (mph, %, meters)
+const GRID_UNIT_CONVERT = {
+  'wmoUnit:km_h-1': (v) => v * 0.621371,
+  'wmoUnit:m_s-1': (v) => v * 2.23694,
+  'wmoUnit:percent': (v) => v,
+  'wmoUnit:m': (v) => v,
+  'wmoUnit:ft': (v) => v * 0.3048,
+};
+
+// Like gridLayerToHourlyInches, but for values that hold over their interval (wind, sky cover,
+// snow level...): every hour of the interval gets the value -> Map<hour start ms, value>.
+export function gridLayerToHourly(layer) {
+  const byHour = new Map();
+  const convert = GRID_UNIT_CONVERT[layer?.uom];
+  if (!convert || !Array.isArray(layer?.values)) return byHour;
+
+  for (const v of layer.values) {
+    const [start, dur] = String(v?.validTime || '').split('/');
+    const startMs = Date.parse(start);
+    const hours = isoDurationHours(dur);
+    if (!Number.isFinite(startMs) || !hours || v?.value == null || !Number.isFinite(Number(v.value))) continue;
+    const value = Math.round(convert(Number(v.value)));
+    for (let h = 0; h < hours; h++) byHour.set(startMs + h * HOUR_MS, value);
+  }
+  return byHour;
+}
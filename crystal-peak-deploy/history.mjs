@@ -0,0 +1,68 @@
+// State snapshot history. Append-only JSONL, one file per resort, source and UTC day:
+//
+//   DATA_DIR/history/crystal/WEATHER/2026-01-14.jsonl -> {"t":"2026-01-14T03:00:00.000Z","data":[...]}
+//
+// Files are never rewritten, so a crash can at worst leave one torn line (skipped on read).
+import path from 'node:path';
+import fs from 'node:fs';
+import { DEFAULT_RESORT_ID } from './resorts.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir = null;
+
+export function loadHistory({ dir: d }) {
+  dir = d;
+}
+
+// Appends each of `sections` the state has to that section's file for the state's day.
+export async function recordSnapshot(state, sections) {
+  const t = state?.generatedAt || new Date().toISOString();
+  const day = t.slice(0, 10);
+  const resortId = state?.resort?.id || DEFAULT_RESORT_ID;
+
+  await Promise.all(
+    sections.map(async (source) => {
+      const value = state?.[source];
+      if (value == null) return;
+      try {
+        const sourceDir = path.join(dir, resortId, source);
+        await fs.promises.mkdir(sourceDir, { recursive: true });
+        await fs.promises.appendFile(path.join(sourceDir, `${day}.jsonl`), `${JSON.stringify({ t, data: value })}\n`);
+      } catch (err) {
+        console.error(`[history] write ${source} error`, err);
+      }
+    })
+  );
+}
+
+// Snapshots with fromMs <= t <= toMs, oldest first
+export async function readHistory(resortId, source, fromMs, toMs) {
+  const items = [];
+  const start = new Date(fromMs);
+  start.setUTCHours(0, 0, 0, 0);
+
+  for (let dayMs = start.getTime(); dayMs <= toMs; dayMs += DAY_MS) {
+    const day = new Date(dayMs).toISOString().slice(0, 10);
+    let text;
+    try {
+      text = await fs.promises.readFile(path.join(dir, resortId, source, `${day}.jsonl`), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const row = JSON.parse(line);
+        const ms = Date.parse(row?.t);
+        if (ms >= fromMs && ms <= toMs) items.push(row);
+      } catch {
+        // torn line from an interrupted write
+      }
+    }
+  }
+
+  return items;
+}
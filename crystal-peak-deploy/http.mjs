@@ -0,0 +1,29 @@
+// Small helpers for upstream HTTP calls, shared by index.mjs and the provider modules.
+
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 8000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    return res;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Error for a non-OK upstream response; keeps the HTTP status for the sources block.
+export function httpError(what, res) {
+  const err = new Error(`${what} failed: ${res.status}`);
+  err.status = res.status;
+  return err;
+}
+
+export function safeJsonParseDate(dateStr) {
+  // WSDOT often returns dates like "\/Date(928174800000-0700)\/"
+  if (typeof dateStr !== 'string') return null;
+  const m = dateStr.match(/\/Date\((\d+)(?:[+-]\d+)?\)\//);
+  if (!m) return null;
+  const ms = Number(m[1]);
+  if (!Number.isFinite(ms)) return null;
+  return new Date(ms).toISOString();
+}
@@ -0,0 +1,215 @@
+// Lift and run status providers. Each resort picks one with `liftProvider` in resorts.mjs:
+//
+//   { type: 'onthesnow', resortId }   OnTheSnow API (needs ONTHESNOW_API_KEY)
+//   { type: 'json', lifts: feed, runs: feed, headers }
+//                                     any JSON endpoint. A feed is { url, path, fields, statuses }: `path`
+//                                     is where the array sits ("data.lifts", empty for the top level),
+//                                     `fields` maps our field names to theirs ({ name: 'title', status:
+//                                     'state.label' }) and `statuses` maps their values to ours.
+//                                     "${VAR}" in urls and headers is read from the environment.
+//   { type: 'file', path }            a JSON file { lifts: [...], runs: [...] } already in our field
+//                                     names, re-read on every refresh (relative to the app directory)
+//   { type: 'manual' }                set by hand through PUT /api/lifts/manual, kept in
+//                                     DATA_DIR/lifts/manual.json
+//
+// Whatever the source, lists come back in the LIFTS/RUNS shape: lifts { id, name, status, updated },
+// runs { id, name, difficulty, status, groomed, updated }. Common spellings of a status ("Operating",
+// "Wind Hold") are folded into open | hold | partial | closed; anything else is passed on lowercased.
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readJsonFile, writeJsonFile } from './store.mjs';
+import { fetchWithTimeout, httpError } from './http.mjs';
+
+export const MANUAL_STATUSES = ['open', 'hold', 'partial', 'closed'];
+
+// First match wins, so "closed - opens at 10" and "not open" are caught before the open words
+const STATUS_WORDS = [
+  [/\bhold\b|\bdelay(ed)?\b|\bstandby\b/, 'hold'],
+  [/\bpartial(ly)?\b|\blimited\b/, 'partial'],
+  [/^(c|n|no|false|off|stopped)$|\bclosed?\b|\bnot (open|operating|running)\b/, 'closed'],
+  [/^(o|y|yes|true)$|\bopen\b|\boperating\b|\brunning\b/, 'open'],
+];
+
+export function normalizeStatus(value) {
+  const s = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (!s) return 'unknown';
+  return STATUS_WORDS.find(([re]) => re.test(s))?.[1] || s;
+}
+
+const lift = (l, idx) => ({
+  id: l?.id ?? idx,
+  name: l?.name ?? 'Lift',
+  status: normalizeStatus(l?.status),
+  updated: l?.updated ?? null,
+});
+
+const run = (r, idx) => ({
+  id: r?.id ?? idx,
+  name: r?.name ?? 'Run',
+  difficulty: String(r?.difficulty || '').toLowerCase(),
+  status: normalizeStatus(r?.status),
+  groomed: !!r?.groomed,
+  updated: r?.updated ?? null,
+});
+
+const NORMALIZE = { lifts: lift, runs: run };
+
+async function fetchJson(what, url, headers = {}) {
+  const res = await fetchWithTimeout(url, { headers: { Accept: 'application/json', ...headers } });
+  if (!res.ok) throw httpError(what, res);
+  return res.json();
+}
+
+// "data.lifts" -> obj.data.lifts; an empty path is the object itself
+const dig = (obj, p) => (p ? String(p).split('.') : []).reduce((o, k) => (o == null ? o : o[k]), obj);
+const fromEnv = (s) => String(s).replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+
+// Relative status file paths are read from here, wherever the server was started from
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let otsApiKey = '';
+let manualFile = null;
+let manual = {}; // { [resortId]: { lifts: { [id]: { name, status, updated } }, runs: { ... } } }
+let saving = Promise.resolve();
+
+// --- Adapters: name, missing(config) -> reason or null, fetch(config, kind, resort) -> raw list ---
+const onthesnow = {
+  name: () => 'OnTheSnow',
+  missing: (config, resort) =>
+    !otsApiKey ? 'ONTHESNOW_API_KEY is not set' : !config.resortId ? `No OnTheSnow resort id for ${resort.name}` : null,
+  async fetch(config, kind) {
+    const what = kind === 'lifts' ? 'lifts' : 'trails';
+    const data = await fetchJson(
+      `OnTheSnow ${what}`,
+      `https://api.onthesnow.com/api/v1/resort/${encodeURIComponent(config.resortId)}/${what}`,
+      { Authorization: `Bearer ${otsApiKey}` }
+    );
+    const items = Array.isArray(data?.[what]) ? data[what] : Array.isArray(data) ? data : [];
+    return items.map((x) => ({ ...x, updated: x?.updated_at ?? null }));
+  },
+};
+
+const json = {
+  name: (config) => {
+    try {
+      return new URL(fromEnv(config.lifts?.url || config.runs?.url)).host;
+    } catch {
+      return 'JSON feed';
+    }
+  },
+  missing: (config, resort) => (config.lifts?.url || config.runs?.url ? null : `No status feed url for ${resort.name}`),
+  async fetch(config, kind) {
+    const feed = config[kind];
+    if (!feed?.url) return [];
+    const headers = Object.fromEntries(Object.entries(config.headers || {}).map(([k, v]) => [k, fromEnv(v)]));
+    const items = dig(await fetchJson(`${kind} feed`, fromEnv(feed.url), headers), feed.path);
+    if (!Array.isArray(items)) throw new Error(`${kind} feed: no array at "${feed.path || ''}"`);
+
+    const fields = feed.fields || {};
+    return items.map((item) => {
+      const get = (field) => dig(item, fields[field] || field);
+      const status = get('status');
+      return {
+        id: get('id'),
+        name: get('name'),
+        status: feed.statuses?.[status] ?? status,
+        updated: get('updated'),
+        difficulty: get('difficulty'),
+        groomed: get('groomed'),
+      };
+    });
+  },
+};
+
+const file = {
+  name: (config) => path.basename(config.path || 'file'),
+  missing: (config, resort) => (config.path ? null : `No status file for ${resort.name}`),
+  async fetch(config, kind) {
+    const data = await readJsonFile(path.resolve(APP_DIR, config.path), null);
+    if (!data) throw new Error(`${config.path} not found`);
+    return Array.isArray(data[kind]) ? data[kind] : [];
+  },
+};
+
+const manualAdapter = {
+  name: () => 'Manual',
+  missing: () => (manualFile ? null : 'Manual lift status is not loaded'),
+  async fetch(config, kind, resort) {
+    return Object.entries(manual[resort.id]?.[kind] || {}).map(([id, item]) => ({ id, ...item }));
+  },
+};
+
+export const LIFT_PROVIDERS = { onthesnow, json, file, manual: manualAdapter };
+
+export async function loadLiftProviders({ dir, onTheSnowApiKey = '' }) {
+  otsApiKey = onTheSnowApiKey;
+  manualFile = path.join(dir, 'manual.json');
+  manual = await readJsonFile(manualFile, {});
+}
+
+const adapterFor = (resort) => LIFT_PROVIDERS[resort.liftProvider?.type] || null;
+
+export function liftProviderName(resort) {
+  return adapterFor(resort)?.name(resort.liftProvider) || 'None';
+}
+
+// Why lift/run status can't be fetched for the resort, or null when it can.
+export function liftProviderMissing(resort) {
+  const type = resort.liftProvider?.type;
+  if (!type) return `No lift status provider for ${resort.name}`;
+  const adapter = adapterFor(resort);
+  if (!adapter) return `Unknown lift status provider "${type}"`;
+  return adapter.missing(resort.liftProvider, resort);
+}
+
+// `kind` is 'lifts' or 'runs'
+export async function fetchProviderStatus(resort, kind) {
+  const items = await adapterFor(resort).fetch(resort.liftProvider, kind, resort);
+  return items.map(NORMALIZE[kind]);
+}
+
+// --- Manual source ---
+export function getManualStatus(resortId) {
+  return { lifts: {}, runs: {}, ...manual[resortId] };
+}
+
+// Returns an error message, or null when `input` ({ lifts, runs }: [{ id, name?, status }]) is valid.
+// A null status clears the item.
+export function validateManualStatus(input) {
+  if (!input || typeof input !== 'object') return 'body must be an object';
+  for (const kind of ['lifts', 'runs']) {
+    if (input[kind] == null) continue;
+    if (!Array.isArray(input[kind])) return `${kind} must be an array`;
+    for (const item of input[kind]) {
+      if (item?.id == null || String(item.id) === '') return `${kind}: every item needs an id`;
+      if (item.status !== null && !MANUAL_STATUSES.includes(item.status)) {
+        return `${kind}: status must be one of ${MANUAL_STATUSES.join(', ')} or null`;
+      }
+    }
+  }
+  return null;
+}
+
+// Chained so concurrent saves land in order, each on top of the last. The change only takes effect once
+// it is written; a failed write rejects for the caller and leaves the status as it was.
+export function setManualStatus(resortId, input) {
+  const written = saving.then(async () => {
+    const now = new Date().toISOString();
+    const next = { lifts: {}, runs: {}, ...manual[resortId] };
+    for (const kind of ['lifts', 'runs']) {
+      next[kind] = { ...next[kind] };
+      for (const { id, name, status } of input[kind] || []) {
+        if (status === null) delete next[kind][id];
+        else next[kind][id] = { name: name ?? next[kind][id]?.name ?? null, status, updated: now };
+      }
+    }
+    const all = { ...manual, [resortId]: next };
+    await writeJsonFile(manualFile, all);
+    manual = all;
+    return next;
+  });
+  saving = written.catch(() => {});
+  return written;
+}
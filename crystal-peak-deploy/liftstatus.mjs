@@ -0,0 +1,72 @@
+// Lift and run status log. Each built LIFTS/RUNS list is diffed against the last status seen per
+// item; every transition becomes an event, so "when did the gondola go on hold?" is a lookup.
+//
+// Files (under DATA_DIR/lifts):
+//   last.json         { [resortId]: { lift: { [id]: { status, since } }, run: { ... } } }
+//   <resortId>.jsonl  one line per transition, oldest first
+//
+// The first status seen for an item only sets its baseline (since: null). Status 'unknown' (no
+// provider, or the provider dropped the item) is not a transition: the last real status stands.
+import path from 'node:path';
+import { readJsonFile, writeJsonFile, appendJsonLine, readJsonLines } from './store.mjs';
+
+export const STATUS_KINDS = ['lift', 'run'];
+
+let dir = null;
+let last = {};
+let saving = Promise.resolve();
+
+export async function loadStatusChanges({ dir: d }) {
+  dir = d;
+  last = await readJsonFile(path.join(dir, 'last.json'), {});
+}
+
+// Call with every built list; unchanged lists cost a diff and no writes. `fetchedAt` dates events
+// for items without an upstream update time. Resolves once the changes are written.
+export function recordStatusChanges(resortId, kind, items, fetchedAt) {
+  if (!dir || !Array.isArray(items)) return saving;
+  const prev = last[resortId]?.[kind] || {};
+  const next = { ...prev };
+  const events = [];
+  let changed = false;
+
+  for (const item of items) {
+    if (item?.id == null || !item.status || item.status === 'unknown') continue;
+    const id = String(item.id);
+    const before = prev[id];
+    if (before?.status === item.status) continue;
+
+    const t = item.updated || new Date(fetchedAt || Date.now()).toISOString();
+    next[id] = { status: item.status, since: before ? t : null };
+    changed = true;
+    if (before) {
+      events.push({ t, resort: resortId, kind, id, name: item.name, from: before.status, to: item.status });
+    }
+  }
+  if (!changed) return saving;
+
+  last = { ...last, [resortId]: { ...last[resortId], [kind]: next } };
+  const file = path.join(dir, `${resortId}.jsonl`);
+  saving = saving
+    .then(async () => {
+      for (const e of events) await appendJsonLine(file, e);
+      await writeJsonFile(path.join(dir, 'last.json'), last);
+    })
+    .catch((err) => console.error('[lifts] write error', err));
+  return saving;
+}
+
+// When the item's status last changed (ISO), or null when it hasn't since it was first seen.
+export function lastStatusChange(resortId, kind, id) {
+  return last[resortId]?.[kind]?.[String(id)]?.since ?? null;
+}
+
+// Newest first. `kind`/`id` narrow the log, `since` (ms) drops older events.
+export async function readStatusChanges(resortId, { kind = null, id = null, since = 0, limit = 500 } = {}) {
+  if (!dir) return [];
+  const rows = await readJsonLines(path.join(dir, `${resortId}.jsonl`));
+  return rows
+    .filter((e) => (kind == null || e.kind === kind) && (id == null || e.id === String(id)) && Date.parse(e.t) >= since)
+    .reverse()
+    .slice(0, limit);
+}
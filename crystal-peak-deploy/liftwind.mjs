@@ -0,0 +1,66 @@
+// Lift wind-hold risk: the chance each lift goes on wind hold, hour by hour for the next 12 hours.
+// Each lift's exposure class and hold threshold come from the catalog (catalog/<resort>.json).
+//
+// The NWS hourly gust forecast is the baseline. Where the stations are running hotter (or calmer)
+// than the forecast right now, that difference is carried into the next hours and faded out by the
+// end of the window. Each exposure class scales the gust to what its lift line sees, and the hold
+// probability is a logistic curve around the lift's hold threshold.
+
+const HOURS = 12;
+const SPREAD_MPH = 5; // how soft the threshold is: +/-5 mph moves the probability ~27% <-> ~73%
+
+export const LIFT_EXPOSURE = {
+  gondola: { label: 'Summit gondola', holdGust: 40, factor: 1.2 },
+  exposed: { label: 'Exposed chair', holdGust: 45, factor: 1.1 },
+  sheltered: { label: 'Sheltered chair', holdGust: 55, factor: 0.85 },
+};
+const DEFAULT_EXPOSURE = 'exposed';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const holdProbability = (gust, threshold) => 1 / (1 + Math.exp(-(gust - threshold) / SPREAD_MPH));
+const pct = (p) => Math.round(p * 100);
+
+// `state` needs FORECAST.hourly, WEATHER and LIFTS (catalog merged with live status). Lifts
+// without a catalog exposure get the default one and are marked `assumed`.
+export function calcLiftWind(state, now = Date.now()) {
+  const nowHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const hours = (state?.FORECAST?.hourly || [])
+    .filter((h) => Date.parse(h.startTime) >= nowHour)
+    .slice(0, HOURS)
+    .map((h) => ({ time: h.startTime, gust: h.gust ?? (h.wind != null ? Math.round(h.wind * 1.5) : null) }));
+  if (hours.length === 0 || hours.every((h) => h.gust == null)) return null;
+
+  // Observed minus forecast for the current hour, faded linearly to nothing
+  const observed = (state?.WEATHER || []).map((w) => w.gust).filter((g) => typeof g === 'number');
+  const stationGust = observed.length ? Math.max(...observed) : null;
+  const bias = stationGust != null && hours[0].gust != null ? stationGust - hours[0].gust : 0;
+  const expected = hours.map((h, i) =>
+    h.gust == null ? null : Math.max(0, Math.round(h.gust + bias * (1 - i / hours.length)))
+  );
+
+  const lifts = (state?.LIFTS || []).map((l) => {
+    const assumed = !(l.exposure in LIFT_EXPOSURE);
+    const cls = LIFT_EXPOSURE[assumed ? DEFAULT_EXPOSURE : l.exposure];
+    const holdGust = l.holdGust ?? cls.holdGust;
+    const hourly = hours.map((h, i) => {
+      const gust = expected[i] == null ? null : Math.round(expected[i] * cls.factor);
+      return { time: h.time, gust, probability: gust == null ? null : pct(holdProbability(gust, holdGust)) };
+    });
+    const peak = hourly.reduce((a, b) => ((b.probability ?? -1) > (a.probability ?? -1) ? b : a));
+    return {
+      id: l.id,
+      name: l.name,
+      exposure: assumed ? DEFAULT_EXPOSURE : l.exposure,
+      assumed,
+      holdGust,
+      status: l.status || null,
+      now: hourly[0].probability,
+      peak: peak.probability,
+      peakAt: peak.time,
+      hourly,
+    };
+  });
+
+  return { stationGust, bias, lifts: lifts.sort((a, b) => (b.peak ?? 0) - (a.peak ?? 0)) };
+}
@@ -0,0 +1,75 @@
+// Mountain pass change log. Each new ROADS snapshot is diffed against the previous one per pass;
+// every field that changed becomes an event, so "when did chains go on at Chinook?" is a lookup.
+//
+// Files (under DATA_DIR/passes):
+//   last.json         { [resortId]: { [passId]: { status, restrictionEastbound, ... } } }
+//   <resortId>.jsonl  one line per change event, oldest first
+//
+// The first snapshot of a pass only sets its baseline; it produces no events.
+import path from 'node:path';
+import { readJsonFile, writeJsonFile, appendJsonLine, readJsonLines } from './store.mjs';
+
+export const PASS_FIELDS = {
+  status: 'Status',
+  restrictionEastbound: 'Eastbound',
+  restrictionWestbound: 'Westbound',
+  conditions: 'Road condition',
+};
+
+let dir = null;
+let last = {};
+let saving = Promise.resolve();
+
+export async function loadPassChanges({ dir: d }) {
+  dir = d;
+  last = await readJsonFile(path.join(dir, 'last.json'), {});
+}
+
+// Call with each newly fetched ROADS section. `fetchedAt` dates events for passes without an
+// upstream update time.
+export function recordPassChanges(resortId, passes, fetchedAt) {
+  if (!dir || !Array.isArray(passes)) return;
+  const prev = last[resortId] || {};
+  const next = { ...prev };
+  const events = [];
+
+  for (const p of passes) {
+    if (p?.id == null) continue;
+    const fields = Object.fromEntries(Object.keys(PASS_FIELDS).map((f) => [f, p[f] ?? null]));
+    const before = prev[p.id];
+    next[p.id] = fields;
+    if (!before) continue;
+
+    for (const field of Object.keys(PASS_FIELDS)) {
+      if (before[field] === fields[field]) continue;
+      events.push({
+        t: p.updated || new Date(fetchedAt).toISOString(),
+        resort: resortId,
+        passId: p.id,
+        passName: p.name,
+        field,
+        from: before[field],
+        to: fields[field],
+      });
+    }
+  }
+
+  last = { ...last, [resortId]: next };
+  const file = path.join(dir, `${resortId}.jsonl`);
+  saving = saving
+    .then(async () => {
+      for (const e of events) await appendJsonLine(file, e);
+      await writeJsonFile(path.join(dir, 'last.json'), last);
+    })
+    .catch((err) => console.error('[passes] write error', err));
+}
+
+// Newest first. `passId` narrows to one pass, `since` (ms) drops older events.
+export async function readPassChanges(resortId, { passId = null, since = 0, limit = 200 } = {}) {
+  if (!dir) return [];
+  const rows = await readJsonLines(path.join(dir, `${resortId}.jsonl`));
+  return rows
+    .filter((e) => (passId == null || String(e.passId) === String(passId)) && Date.parse(e.t) >= since)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,283 @@
+// Resort registry. Everything that used to be hard-wired to Crystal lives here,
+// so adding a mountain is a matter of adding an entry.
+//
+// radii are in miles from the resort coordinates; limits cap how many items are kept.
+// elevations (feet) are the base area and the top of the highest lift; base vs summit forecasts use them.
+// Cameras within radii.mountain count as "Mountain" cams.
+// avalanche.zoneId is the avalanche.org public API zone for the resort's NWAC forecast area.
+//
+// approachRoutes: the highways people actually drive in on. Cameras on one of these roads (between
+// milepost `from` and `to`, either may be omitted) rank ahead of other nearby cameras and are
+// grouped under the route's `category`.
+//
+// driveOrigins: where people drive up from. `segments` are WSDOT TravelTimes routes summed in order:
+// a TravelTimeID, or the route's full Name exactly as GetTravelTimesAsJson lists it (IDs survive
+// renames; the names below still need checking against the live feed and swapping for IDs). If any
+// segment is missing the origin gets no total, see drivetimes.mjs. `baseMinutes` covers the
+// untimed rest of the drive. `via` names the roads whose highway alerts matter on the way, and
+// `passes` the WSDOT mountain passes actually crossed (omit it to show every pass on a `via` road).
+//
+// Lifts and runs (elevations, wind exposure...) live in catalog/<id>.json, see catalog.mjs.
+// liftProvider is where live lift/run status comes from (see liftproviders.mjs for the types);
+// LIFT_PROVIDERS (JSON, { [resortId]: liftProvider }) overrides it per resort without a code change.
+
+import { LIFT_PROVIDERS } from './liftproviders.mjs';
+
+const DEFAULT_RADII = { cams: 40, stations: 50, passes: 80, roadAlerts: 40, mountain: 2 };
+const DEFAULT_LIMITS = { cams: 16, stations: 6, passes: 10 };
+
+export const RESORTS = [
+  {
+    id: 'crystal',
+    name: 'Crystal Mountain',
+    shortName: 'Crystal',
+    // approx base coordinates
+    lat: Number(process.env.CRYSTAL_LAT || 46.932517),
+    lon: Number(process.env.CRYSTAL_LON || -121.48067),
+    elevations: { base: 4400, summit: 7012 },
+    avalanche: { centerId: 'NWAC', zoneId: 1 },
+    radii: DEFAULT_RADII,
+    limits: DEFAULT_LIMITS,
+    liftProvider: { type: 'onthesnow', resortId: process.env.ONTHESNOW_RESORT_ID || null },
+    approachRoutes: [
+      { road: 'SR 410', to: 58, category: 'SR 410 West' },
+      { road: 'SR 410', from: 58, category: 'Chinook/Cayuse' },
+      { road: 'SR 123', category: 'Chinook/Cayuse' },
+      { road: 'SR 164', category: 'SR 164' },
+    ],
+    driveOrigins: [
+      {
+        id: 'seattle',
+        name: 'Seattle',
+        segments: ['Seattle-Auburn', 'Auburn-Enumclaw'],
+        baseMinutes: 50,
+        via: ['SR 164', 'SR 410'],
+        // Chinook Pass is past the Crystal Mountain Blvd turnoff
+        passes: [],
+      },
+      {
+        id: 'tacoma',
+        name: 'Tacoma',
+        segments: ['Tacoma-Puyallup', 'Puyallup-Enumclaw'],
+        baseMinutes: 50,
+        via: ['SR 410'],
+        passes: [],
+      },
+    ],
+    hours: '9 AM - 4 PM (typical)',
+    phone: '(360) 663-2265',
+    links: [
+      { label: 'Crystal Mountain', url: 'https://www.crystalmountainresort.com' },
+      { label: 'NWAC', url: 'https://nwac.us' },
+      { label: 'WSDOT Passes', url: 'https://wsdot.com/travel/real-time/mountainpasses' },
+    ],
+    staticCams: [
+      {
+        id: 'crystal-summit-360',
+        name: 'Crystal Summit 360°',
+        type: 'external',
+        category: 'Mountain',
+        link: 'https://crystalmountainresort.roundshot.com/',
+        desc: 'Crystal Mountain summit panorama (official)',
+      },
+      {
+        id: 'crystal-webcams',
+        name: 'Crystal Webcams',
+        type: 'external',
+        category: 'Mountain',
+        link: 'https://www.crystalmountainresort.com/the-mountain/webcams',
+        desc: 'Official Crystal Mountain webcam page',
+      },
+    ],
+  },
+  {
+    id: 'stevens',
+    name: 'Stevens Pass',
+    shortName: 'Stevens',
+    lat: 47.7448,
+    lon: -121.089,
+    elevations: { base: 4061, summit: 5845 },
+    avalanche: { centerId: 'NWAC', zoneId: 5 },
+    radii: DEFAULT_RADII,
+    limits: DEFAULT_LIMITS,
+    liftProvider: null,
+    approachRoutes: [
+      { road: 'US 2', to: 60, category: 'US 2 West' },
+      { road: 'US 2', from: 60, to: 70, category: 'Stevens Pass' },
+      { road: 'US 2', from: 70, category: 'US 2 East' },
+    ],
+    driveOrigins: [
+      {
+        id: 'seattle',
+        name: 'Seattle',
+        segments: ['Seattle-Everett', 'Everett-Monroe'],
+        baseMinutes: 60,
+        via: ['US 2'],
+      },
+      {
+        id: 'bellevue',
+        name: 'Bellevue',
+        segments: ['Bellevue-Woodinville', 'Woodinville-Monroe'],
+        baseMinutes: 60,
+        via: ['US 2'],
+      },
+    ],
+    hours: '9 AM - 4 PM (typical)',
+    phone: '(206) 812-4510',
+    links: [
+      { label: 'Stevens Pass', url: 'https://www.stevenspass.com' },
+      { label: 'NWAC', url: 'https://nwac.us' },
+      { label: 'WSDOT Passes', url: 'https://wsdot.com/travel/real-time/mountainpasses' },
+    ],
+    staticCams: [
+      {
+        id: 'stevens-webcams',
+        name: 'Stevens Webcams',
+        type: 'external',
+        category: 'Mountain',
+        link: 'https://www.stevenspass.com/the-mountain/mountain-conditions/mountain-cams.aspx',
+        desc: 'Official Stevens Pass webcam page',
+      },
+    ],
+  },
+  {
+    id: 'snoqualmie',
+    name: 'The Summit at Snoqualmie',
+    shortName: 'Snoqualmie',
+    lat: 47.4245,
+    lon: -121.4134,
+    elevations: { base: 3000, summit: 5420 },
+    avalanche: { centerId: 'NWAC', zoneId: 6 },
+    radii: DEFAULT_RADII,
+    limits: DEFAULT_LIMITS,
+    liftProvider: null,
+    approachRoutes: [
+      { road: 'I-90', to: 47, category: 'I-90 West' },
+      { road: 'I-90', from: 47, to: 56, category: 'Snoqualmie Pass' },
+      { road: 'I-90', from: 56, category: 'I-90 East' },
+    ],
+    driveOrigins: [
+      {
+        id: 'seattle',
+        name: 'Seattle',
+        segments: ['Seattle-Issaquah', 'Issaquah-North Bend'],
+        baseMinutes: 15,
+        via: ['I-90'],
+      },
+      {
+        id: 'bellevue',
+        name: 'Bellevue',
+        segments: ['Bellevue-Issaquah', 'Issaquah-North Bend'],
+        baseMinutes: 15,
+        via: ['I-90'],
+      },
+    ],
+    hours: '9 AM - 10 PM (night skiing, typical)',
+    phone: '(425) 434-7669',
+    links: [
+      { label: 'The Summit at Snoqualmie', url: 'https://summitatsnoqualmie.com' },
+      { label: 'NWAC', url: 'https://nwac.us' },
+      { label: 'WSDOT Passes', url: 'https://wsdot.com/travel/real-time/mountainpasses' },
+    ],
+    staticCams: [
+      {
+        id: 'snoqualmie-webcams',
+        name: 'Summit Webcams',
+        type: 'external',
+        category: 'Mountain',
+        link: 'https://summitatsnoqualmie.com/webcams',
+        desc: 'Official Summit at Snoqualmie webcam page',
+      },
+    ],
+  },
+  {
+    id: 'whitepass',
+    name: 'White Pass',
+    shortName: 'White Pass',
+    lat: 46.6376,
+    lon: -121.3913,
+    elevations: { base: 4500, summit: 6550 },
+    avalanche: { centerId: 'NWAC', zoneId: 4 },
+    radii: DEFAULT_RADII,
+    limits: DEFAULT_LIMITS,
+    liftProvider: null,
+    approachRoutes: [
+      { road: 'US 12', to: 145, category: 'US 12 West' },
+      { road: 'US 12', from: 145, to: 157, category: 'White Pass' },
+      { road: 'US 12', from: 157, category: 'US 12 East' },
+    ],
+    driveOrigins: [
+      { id: 'tacoma', name: 'Tacoma', segments: ['Tacoma-Puyallup'], baseMinutes: 130, via: ['SR 7', 'US 12'] },
+      {
+        id: 'seattle',
+        name: 'Seattle',
+        segments: ['Seattle-Federal Way', 'Federal Way-Tacoma'],
+        baseMinutes: 150,
+        via: ['I-5', 'US 12'],
+      },
+    ],
+    hours: '8:45 AM - 4 PM (typical)',
+    phone: '(509) 672-3101',
+    links: [
+      { label: 'White Pass', url: 'https://skiwhitepass.com' },
+      { label: 'NWAC', url: 'https://nwac.us' },
+      { label: 'WSDOT Passes', url: 'https://wsdot.com/travel/real-time/mountainpasses' },
+    ],
+    staticCams: [
+      {
+        id: 'whitepass-webcams',
+        name: 'White Pass Webcams',
+        type: 'external',
+        category: 'Mountain',
+        link: 'https://skiwhitepass.com/webcams',
+        desc: 'Official White Pass webcam page',
+      },
+    ],
+  },
+];
+
+// A bad LIFT_PROVIDERS is logged and ignored rather than keeping the server from starting
+function readProviderOverrides() {
+  if (!process.env.LIFT_PROVIDERS) return {};
+  try {
+    return JSON.parse(process.env.LIFT_PROVIDERS) || {};
+  } catch {
+    console.error('[lifts] LIFT_PROVIDERS is not valid JSON');
+    return {};
+  }
+}
+
+for (const [id, provider] of Object.entries(readProviderOverrides())) {
+  const resort = RESORTS.find((r) => r.id === id);
+  if (!resort) {
+    console.error(`[lifts] LIFT_PROVIDERS: unknown resort "${id}"`);
+    continue;
+  }
+  // null turns the resort's provider off
+  if (provider !== null && !Object.hasOwn(LIFT_PROVIDERS, provider?.type)) {
+    console.error(`[lifts] LIFT_PROVIDERS: unknown provider type "${provider?.type}" for ${id}`);
+    continue;
+  }
+  resort.liftProvider = provider;
+}
+
+export const DEFAULT_RESORT_ID = process.env.DEFAULT_RESORT || 'crystal';
+
+export function getResort(id) {
+  return RESORTS.find((r) => r.id === id) || null;
+}
+
+// What the browser gets from /api/resorts and in state.resort (no provider ids).
+export function publicResort(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    shortName: r.shortName,
+    lat: r.lat,
+    lon: r.lon,
+    elevations: r.elevations,
+    hours: r.hours,
+    phone: r.phone,
+    links: r.links,
+  };
+}
@@ -0,0 +1,48 @@
+// WSDOT mountain pass restrictions -> a level per direction of travel, for the Roads go/no-go.
+//
+// WSDOT reports one restriction per direction in RestrictionOne/RestrictionTwo, each with its
+// TravelDirection. Most passes run east-west, but Blewett, Manastash and Satus report
+// Northbound/Southbound, so the two are kept in WSDOT's order along with the direction it gave.
+// Patterns stay within one sentence, so "Chains are required on vehicles over 10,000 GVW. Traction
+// tires are required on all vehicles." doesn't read as chains for everyone.
+
+// Restriction text -> level; the first (most severe) match wins
+export const RESTRICTION_LEVELS = [
+  ['closed', /\bclosed\b/i],
+  ['chains-awd-exempt', /chains[^.]*required[^.]*all vehicles[^.]*except[^.]*(all[- ]wheel|awd|four[- ]wheel)/i],
+  ['chains', /chains[^.]*required[^.]*all vehicles(?![^.]*(over 10,000|gvw|commercial))/i],
+  ['traction', /traction tires[^.]*required/i],
+  ['advised', /advised/i],
+  ['none', /no restrictions?/i],
+];
+
+// -> { level, oversizeProhibited, heavyChains }
+// level: none | advised | traction | chains-awd-exempt | chains | closed | unknown, for passenger vehicles
+// heavyChains: chains required on vehicles over 10,000 GVW. Text that only restricts heavy or oversize
+// vehicles leaves `level` at none. `travel` is the pass's Travel<Direction> text, which may say closed.
+export function parseRestriction(text, travel) {
+  const oversizeProhibited = /oversize[^.]*prohibited/i.test(text || '');
+  const heavyChains = /chains[^.]*required[^.]*(over 10,000|gvw|commercial)/i.test(text || '');
+  let level = 'none';
+  if (/\bclosed\b/i.test(travel || '')) level = 'closed';
+  else if (text) {
+    level =
+      RESTRICTION_LEVELS.find(([, re]) => re.test(text))?.[0] ||
+      (oversizeProhibited || heavyChains ? 'none' : 'unknown');
+  }
+  return { level, oversizeProhibited, heavyChains };
+}
+
+// "EASTBOUND" -> "Eastbound"
+const directionLabel = (x) => (x ? `${x.charAt(0).toUpperCase()}${x.slice(1).toLowerCase()}` : null);
+
+// One WSDOT pass -> [RestrictionOne, RestrictionTwo] as { direction, text, level, oversizeProhibited, heavyChains }.
+// A direction WSDOT sent no entry for is `unknown`, not `none`.
+export function passRestrictions(p) {
+  return [p?.RestrictionOne, p?.RestrictionTwo].map((r) => {
+    if (!r) return { direction: null, text: null, level: 'unknown', oversizeProhibited: false, heavyChains: false };
+    const direction = directionLabel(String(r.TravelDirection || '').trim());
+    const text = r.RestrictionText || null;
+    return { direction, text, ...parseRestriction(text, direction ? p[`Travel${direction}`] : null) };
+  });
+}
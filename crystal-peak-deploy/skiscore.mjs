@@ -0,0 +1,170 @@
+// Ski day score: 0-100 for today and each forecast day, from data already in the built state
+// (FORECAST hourly + base/summit bands, WEATHER station gusts, AVAL).
+//
+// Each factor scores 0..1; the day's score is the weighted mean of the factors that have data, so
+// a missing source lowers confidence, not the score. Days run on resort-local time: "new snow" for
+// a day is what falls from 4 PM the day before until 4 PM, and wind/temperature/visibility look at
+// ski hours (9 AM - 4 PM) only.
+
+const SKI_START_HOUR = 9;
+const SKI_END_HOUR = 16;
+
+export const SKI_FACTORS = {
+  newSnow: { label: 'New snow', weight: 30 },
+  wind: { label: 'Wind', weight: 25 },
+  precipType: { label: 'Rain vs snow', weight: 15 },
+  temperature: { label: 'Temperature', weight: 10 },
+  visibility: { label: 'Visibility', weight: 10 },
+  avalanche: { label: 'Avalanche danger', weight: 10 },
+};
+
+const GRADES = [
+  [85, 'Epic'],
+  [70, 'Great'],
+  [55, 'Good'],
+  [40, 'Fair'],
+  [0, 'Poor'],
+];
+
+const clamp = (x) => Math.max(0, Math.min(1, x));
+const round1 = (x) => Math.round(x * 10) / 10;
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+// NWS startTimes carry the local offset ("2026-01-14T09:00:00-08:00"), so the wall-clock date and
+// hour can be read straight off the string.
+const localDate = (iso) => String(iso || '').slice(0, 10);
+const localHour = (iso) => Number(String(iso || '').slice(11, 13));
+function nextDate(date) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+const weekday = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+
+// --- Factors: each returns { value, score, note } or null when there's nothing to go on ---
+function newSnowFactor(inches) {
+  if (inches == null) return null;
+  return { value: round1(inches), score: clamp(0.3 + inches * 0.07), note: `${round1(inches)}" by 4 PM` };
+}
+
+function windFactor(gust) {
+  if (gust == null) return null;
+  // Calm through 20 mph, lifts start holding in the 40s
+  return { value: gust, score: clamp((50 - gust) / 30), note: `Gusts to ${gust} mph` };
+}
+
+// `base`/`summit` are 'snow' | 'mix' | 'rain' | null (dry)
+function precipTypeFactor(base, summit) {
+  const where = (type) => [summit === type && 'summit', base === type && 'base'].filter(Boolean).join(' and ');
+  if (summit === 'rain') return { value: { base, summit }, score: 0, note: 'Rain to the summit' };
+  if (base === 'rain') return { value: { base, summit }, score: 0.4, note: 'Rain at the base' };
+  if (base === 'mix' || summit === 'mix')
+    return { value: { base, summit }, score: 0.6, note: `Mixed at ${where('mix')}` };
+  if (base === 'snow' || summit === 'snow')
+    return { value: { base, summit }, score: 1, note: `Snow at ${where('snow')}` };
+  return { value: { base, summit }, score: 0.8, note: 'Dry' };
+}
+
+function temperatureFactor(temp) {
+  if (temp == null) return null;
+  // 15-30°F is ideal; colder gets bitter, warmer gets slushy
+  const score = temp < 15 ? clamp(1 - (15 - temp) * 0.04) : temp > 30 ? clamp(1 - (temp - 30) * 0.055) : 1;
+  return { value: temp, score: Math.max(0.2, score), note: `${temp}°F at ski hours` };
+}
+
+const VISIBILITY_WORDS = [
+  [/fog|blizzard|blowing|heavy snow|smoke/i, 0.2, 'Poor'],
+  [/snow|rain|showers|drizzle|sleet/i, 0.6, 'Flat light'],
+  [/sunny|clear/i, 1, 'Good'],
+  [/cloudy|overcast/i, 0.8, 'Fair'],
+];
+function visibilityFactor(texts) {
+  const rated = texts
+    .filter(Boolean)
+    .map((text) => VISIBILITY_WORDS.find(([re]) => re.test(text)) || [null, 0.7, 'Fair']);
+  if (rated.length === 0) return null;
+  const worst = rated.reduce((a, b) => (b[1] < a[1] ? b : a));
+  return { value: worst[2], score: mean(rated.map(([, s]) => s)), note: `${worst[2]} at worst` };
+}
+
+const AVALANCHE_SCORES = { 1: 1, 2: 1, 3: 0.7, 4: 0.3, 5: 0 };
+function avalancheFactor(level, danger) {
+  if (level == null) return null;
+  return { value: level, score: AVALANCHE_SCORES[level] ?? 0.5, note: danger || `Level ${level}` };
+}
+
+// --- Score ---
+function scoreDay(factors) {
+  let weighted = 0;
+  let weights = 0;
+  const breakdown = [];
+  for (const [id, f] of Object.entries(factors)) {
+    if (!f) continue;
+    const { label, weight } = SKI_FACTORS[id];
+    weighted += f.score * weight;
+    weights += weight;
+    breakdown.push({ id, label, weight, value: f.value, score: Math.round(f.score * 100), note: f.note });
+  }
+  if (weights === 0) return null;
+  const score = Math.round((weighted / weights) * 100);
+  return { score, grade: GRADES.find(([min]) => score >= min)[1], factors: breakdown };
+}
+
+export function calcSkiScore(state) {
+  const hourly = state?.FORECAST?.hourly || [];
+  if (hourly.length === 0) return null;
+
+  const byDate = new Map();
+  const bucket = (date) => {
+    if (!byDate.has(date)) byDate.set(date, { ski: [], all: [], snow: null });
+    return byDate.get(date);
+  };
+  for (const h of hourly) {
+    const date = localDate(h.startTime);
+    const hour = localHour(h.startTime);
+    if (!date || !Number.isFinite(hour)) continue;
+    const day = bucket(date);
+    day.all.push(h);
+    if (hour >= SKI_START_HOUR && hour < SKI_END_HOUR) day.ski.push(h);
+    // Snow after 4 PM counts toward the next day
+    if (h.snow != null) {
+      const snowDay = bucket(hour >= SKI_END_HOUR ? nextDate(date) : date);
+      snowDay.snow = (snowDay.snow || 0) + h.snow;
+    }
+  }
+
+  const bands = state.FORECAST.elevations;
+  const bandDay = (band, date) => band?.days?.find((d) => d.date === date);
+  const aval = state.AVAL;
+  const stationGusts = (state.WEATHER || []).map((w) => w.gust).filter((g) => typeof g === 'number');
+
+  const dates = [...byDate.keys()].filter((d) => byDate.get(d).all.length > 0).sort();
+  const days = dates
+    .map((date, i) => {
+      const { ski, all, snow } = byDate.get(date);
+      // Late in the day there may be no ski hours left; the rest of the day stands in
+      const hours = ski.length ? ski : all;
+      const gusts = hours.map((h) => h.gust ?? h.wind).filter((g) => g != null);
+      if (i === 0) gusts.push(...stationGusts);
+      const temp = mean(hours.map((h) => h.temp).filter((t) => t != null));
+      const base = bandDay(bands?.base, date);
+      const summit = bandDay(bands?.summit, date);
+      const avalanche = i === 0 ? aval : i === 1 ? aval?.outlook : null;
+
+      const result = scoreDay({
+        newSnow: newSnowFactor(snow),
+        wind: windFactor(gusts.length ? Math.max(...gusts) : null),
+        precipType: base || summit ? precipTypeFactor(base?.type, summit?.type) : null,
+        temperature: temperatureFactor(temp == null ? null : Math.round(temp)),
+        visibility: visibilityFactor(hours.map((h) => h.text)),
+        avalanche: avalancheFactor(avalanche?.level, avalanche?.danger),
+      });
+      return result && { date, day: weekday(date), ...result };
+    })
+    .filter(Boolean);
+
+  if (days.length === 0) return null;
+  const best = [...days].sort((a, b) => b.score - a.score).map((d) => d.date);
+  return { today: days[0], days, best };
+}
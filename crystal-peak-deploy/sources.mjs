@@ -0,0 +1,126 @@
+// Per-source cache (stale-while-revalidate). Each upstream keeps its last good value, served while a
+// refresh runs in the background (or after one fails). Entries are keyed `${resortId}:${sourceKey}`:
+//
+//   { value, fetchedAt, checkedAt, refreshing, latencyMs, httpStatus, error }
+//
+// A source is { key, tag, provider, fetch(resort), missing?(resort), empty }; see SOURCES in index.mjs.
+
+// How long each upstream's last good value counts as fresh
+const MINUTE_MS = 60 * 1000;
+export const SOURCE_TTL_MS = {
+  FORECAST: 10 * MINUTE_MS,
+  FREEZING: 30 * MINUTE_MS,
+  MODELS: 30 * MINUTE_MS,
+  CAMS: 2 * MINUTE_MS,
+  WEATHER: 5 * MINUTE_MS,
+  ROADS: 5 * MINUTE_MS,
+  ROAD_ALERTS: 5 * MINUTE_MS,
+  DRIVE: 5 * MINUTE_MS,
+  AVAL: 30 * MINUTE_MS,
+  ALERTS: 5 * MINUTE_MS,
+  LIFTS: 2 * MINUTE_MS,
+  RUNS: 5 * MINUTE_MS,
+};
+// After a failed refresh, try again this soon (or at the TTL, if that is sooner)
+export const SOURCE_RETRY_MS = MINUTE_MS;
+
+const cache = new Map();
+let onRefreshed = () => {};
+
+// Called with the resort after every refresh, successful or not
+export function onSourceRefresh(fn) {
+  onRefreshed = fn;
+}
+
+// Short, user-presentable reason for a failed fetch
+export function errorReason(err) {
+  if (err?.name === 'AbortError') return 'Timed out';
+  if (err?.cause?.code) return `${err.message} (${err.cause.code})`;
+  return err?.message || String(err);
+}
+
+function refreshSource(resort, src, entry) {
+  const started = Date.now();
+  entry.checkedAt = started;
+  entry.refreshing = src
+    .fetch(resort)
+    .then((value) => {
+      entry.value = value;
+      entry.fetchedAt = Date.now();
+      entry.httpStatus = 200;
+      entry.error = null;
+    })
+    .catch((err) => {
+      // keep serving the last good value
+      console.error(`[${src.tag}] error`, err);
+      entry.httpStatus = err?.status ?? null;
+      entry.error = errorReason(err);
+    })
+    .finally(() => {
+      entry.latencyMs = Date.now() - started;
+      entry.refreshing = null;
+      onRefreshed(resort);
+    });
+  return entry.refreshing;
+}
+
+export function getEntry(resort, src) {
+  const cacheKey = `${resort.id}:${src.key}`;
+  let entry = cache.get(cacheKey);
+  if (!entry) {
+    entry = {
+      value: src.empty,
+      fetchedAt: 0,
+      checkedAt: 0,
+      refreshing: null,
+      latencyMs: null,
+      httpStatus: null,
+      error: null,
+    };
+    cache.set(cacheKey, entry);
+  }
+  return entry;
+}
+
+// Whether a source is due another fetch: its TTL (or the retry delay, if the last attempt failed)
+// has passed since the last attempt, and none is running.
+export function refreshDue(src, entry, now) {
+  const ttlMs = SOURCE_TTL_MS[src.key];
+  const waitMs = entry.error ? Math.min(ttlMs, SOURCE_RETRY_MS) : ttlMs;
+  return !entry.refreshing && now - entry.checkedAt >= waitMs;
+}
+
+// Returns the cache entry for a source, kicking off a background refresh when one is due. Only
+// waits when there is nothing good to serve yet.
+export async function readSource(resort, src) {
+  const entry = getEntry(resort, src);
+  if (src.missing?.(resort)) return entry;
+
+  if (refreshDue(src, entry, Date.now())) refreshSource(resort, src, entry);
+  if (!entry.fetchedAt && entry.refreshing) await entry.refreshing;
+  return entry;
+}
+
+// Health + provenance for one source, as served in state.sources and /api/sources.
+// status: ok | error (last attempt failed; `hasData` says whether an older value is served)
+//         | unconfigured | pending (first fetch not finished)
+export function sourceStatus(resort, src, entry, now) {
+  const missing = src.missing?.(resort) || null;
+  const ttlMs = SOURCE_TTL_MS[src.key];
+  const ageMs = entry.fetchedAt ? now - entry.fetchedAt : null;
+  const status = missing ? 'unconfigured' : entry.error ? 'error' : entry.fetchedAt ? 'ok' : 'pending';
+  return {
+    status,
+    provider: typeof src.provider === 'function' ? src.provider(resort) : src.provider,
+    error: missing || entry.error,
+    httpStatus: entry.httpStatus,
+    latencyMs: entry.latencyMs,
+    lastAttempt: entry.checkedAt ? new Date(entry.checkedAt).toISOString() : null,
+    lastSuccess: entry.fetchedAt ? new Date(entry.fetchedAt).toISOString() : null,
+    hasData: entry.fetchedAt > 0,
+    ageSec: ageMs == null ? null : Math.round(ageMs / 1000),
+    ttlSec: Math.round(ttlMs / 1000),
+    stale: ageMs == null || ageMs > ttlMs,
+    refreshing: !!entry.refreshing,
+  };
+}
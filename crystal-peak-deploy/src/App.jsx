@@ -1,6 +1,16 @@
 // src/App.jsx
-import React, { useState, useEffect, createContext, useContext, useCallback, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, AreaChart, Area } from 'recharts';
+import React, { useState, useEffect, createContext, useContext, useCallback, useMemo, useRef } from 'react';
+import {
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  ComposedChart,
+  ReferenceLine,
+} from 'recharts';
 import {
   Camera,
   Thermometer,
@@ -29,12 +39,33 @@ import {
   Heart,
   Loader,
   WifiOff,
+  Bell,
+  Play,
+  Pause,
+  Car,
+  Pin,
+  ClipboardCheck,
+  EyeOff,
+  Lock,
 } from 'lucide-react';
 
 const AppContext = createContext();
 const useApp = () => useContext(AppContext);
-const defaultSettings = { units: 'imperial', favorites: [] };
+// resort: registry id from /api/resorts; null = server default
+// dismissedAlerts: NWS alert ids hidden from the Home banner
+// vehicle: VEHICLES id, drives the pass go/no-go
+// origin: DRIVE origin id (null = the resort's first)
+const defaultSettings = {
+  units: 'imperial',
+  favorites: [],
+  resort: null,
+  dismissedAlerts: [],
+  vehicle: 'awd',
+  origin: null,
+};
 const API_BASE = '/api';
+const POLL_MS = 120000; // only while the push stream is down
+const STREAM_RETRY_MS = 30000;
 
 // ---------------------------
 // Date helpers
@@ -89,11 +120,69 @@ const diffColor = (d) =>
   ({ green: 'bg-emerald-500', blue: 'bg-sky-500', black: 'bg-slate-900', 'double-black': 'bg-slate-900' }[d] ||
     'bg-slate-500');
 const diffIcon = (d) => ({ green: '●', blue: '■', black: '◆', 'double-black': '◆◆' }[d] || '○');
+// NWS alert severity (extreme | severe | moderate | minor | unknown)
+const severityStyle = (s) =>
+  ({
+    extreme: 'bg-rose-500/15 border-rose-500/40 text-rose-400',
+    severe: 'bg-rose-500/10 border-rose-500/30 text-rose-400',
+    moderate: 'bg-amber-500/10 border-amber-500/30 text-amber-400',
+    minor: 'bg-sky-500/10 border-sky-500/30 text-sky-400',
+  }[s] || 'bg-slate-500/10 border-slate-500/30 text-slate-400');
+const VEHICLES = [
+  { id: 'awd', label: 'AWD / 4WD' },
+  { id: '2wd-chains', label: '2WD with chains' },
+  { id: 'oversize', label: 'Oversize / heavy' },
+];
+const RESTRICTION_LABELS = {
+  none: 'No restrictions',
+  advised: 'Traction tires advised',
+  traction: 'Traction tires required',
+  'chains-awd-exempt': 'Chains required, AWD exempt',
+  chains: 'Chains required on all vehicles',
+  closed: 'Closed',
+  unknown: 'See restriction',
+};
+const VERDICT_RANK = { go: 0, caution: 1, 'no-go': 2 };
+const VERDICT_BADGE = { go: 'open', caution: 'hold', 'no-go': 'closed' };
+
+// One direction's parsed restriction ({ level, oversizeProhibited, heavyChains }) for a vehicle
+// -> { verdict: go | caution | no-go, note }. AWD is assumed to be on traction tires; only the
+// 2WD-with-chains vehicle is assumed to carry chains.
+const restrictionVerdict = (r, vehicle) => {
+  if (!r) return null;
+  const note = RESTRICTION_LABELS[r.level] || r.level;
+  if (r.level === 'closed') return { verdict: 'no-go', note };
+  if (vehicle === 'oversize' && r.oversizeProhibited) return { verdict: 'no-go', note: 'Oversize vehicles prohibited' };
+  if (vehicle === 'oversize' && r.heavyChains) return { verdict: 'caution', note: 'Chains required over 10,000 GVW' };
+  switch (r.level) {
+    case 'none':
+      return { verdict: 'go', note };
+    case 'advised':
+    case 'traction':
+    case 'chains-awd-exempt':
+      return { verdict: vehicle === 'awd' ? 'go' : 'caution', note };
+    case 'chains':
+      return { verdict: vehicle === '2wd-chains' ? 'caution' : 'no-go', note };
+    default:
+      return { verdict: 'caution', note };
+  }
+};
+
+// Worse of the two directions
+const passVerdict = (p, vehicle) =>
+  [restrictionVerdict(p.eastbound, vehicle), restrictionVerdict(p.westbound, vehicle)]
+    .filter(Boolean)
+    .sort((a, b) => VERDICT_RANK[b.verdict] - VERDICT_RANK[a.verdict])[0] || null;
+
+// WSDOT highway alert priority -> severityStyle key
+const ROAD_ALERT_SEVERITY = { highest: 'extreme', high: 'severe', medium: 'moderate', low: 'minor', lowest: 'minor' };
+const fmtTime = (iso) =>
+  iso ? new Date(iso).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' }) : '—';
 
 // ---------------------------
 // Small UI bits
 // ---------------------------
-const Badge = ({ status, lg }) => (
+const Badge = ({ status, label, lg }) => (
   <span
     className={`inline-flex items-center gap-1 ${
       lg ? 'px-3 py-1.5 text-sm' : 'px-2 py-0.5 text-xs'
@@ -102,10 +191,19 @@ const Badge = ({ status, lg }) => (
     {status === 'open' && <CheckCircle className="w-3 h-3 text-emerald-400" />}
     {(status === 'hold' || status === 'partial') && <MinusCircle className="w-3 h-3 text-amber-400" />}
     {status === 'closed' && <XCircle className="w-3 h-3 text-rose-400" />}
-    <span className={statusColor(status)}>{status}</span>
+    <span className={statusColor(status)}>{label || status}</span>
   </span>
 );
 
+// Marks data the resort staff entered through the admin console (`manual: { at, by }` from the server)
+const ManualMarker = ({ manual, className = '' }) =>
+  manual ? (
+    <span className={`inline-flex items-center gap-1 text-xs text-violet-300 ${className}`} title={fmtTime(manual.at)}>
+      <ClipboardCheck className="w-3 h-3" />
+      Manually reported {ago(manual.at)}
+    </span>
+  ) : null;
+
 const Card = ({ children, className = '', onClick }) => (
   <div
     onClick={onClick}
@@ -148,21 +246,80 @@ const ErrorBanner = ({ message, onRetry }) => (
   </div>
 );
 
+// ---------------------------
+// Source health (data.sources, see /api/sources)
+// ---------------------------
+// Which upstreams feed each page
+const PAGE_SOURCES = {
+  cams: ['CAMS'],
+  forecast: ['FORECAST', 'FREEZING', 'MODELS'],
+  lifts: ['LIFTS', 'FORECAST', 'WEATHER'],
+  runs: ['RUNS'],
+  snow: ['FORECAST'],
+  temps: ['WEATHER'],
+  wind: ['WEATHER', 'FORECAST'],
+  roads: ['ROADS', 'ROAD_ALERTS'],
+  drive: ['DRIVE', 'ROADS', 'ROAD_ALERTS'],
+  backcountry: ['AVAL'],
+  alerts: ['ALERTS'],
+};
+
+// True when an upstream failed (as opposed to having no data or not being configured)
+const sourceDown = (data, key) => data?.sources?.[key]?.status === 'error';
+
+const ago = (iso) => {
+  const min = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (min < 1) return 'just now';
+  if (min < 60) return `${min} min ago`;
+  return `${Math.round(min / 60)} h ago`;
+};
+
+const sourceProblem = (s) => {
+  if (!s) return null;
+  if (s.status === 'unconfigured') return `${s.provider} not configured: ${s.error}`;
+  if (s.status !== 'error') return null;
+  const code = s.httpStatus ? ` (HTTP ${s.httpStatus})` : '';
+  const held = s.lastSuccess ? ` Showing data from ${ago(s.lastSuccess)}.` : '';
+  return `${s.provider} is unavailable${code}: ${s.error}.${held}`;
+};
+
+// Per-page banner for failed upstreams; built on ErrorBanner
+const SourceNotice = ({ keys }) => {
+  const { data, refresh } = useApp();
+  const problems = [...new Set(keys)]
+    .map((k) => [k, data?.sources?.[k]])
+    .filter(([, s]) => s?.status === 'error');
+  return problems.map(([k, s]) => <ErrorBanner key={k} message={sourceProblem(s)} onRetry={refresh} />);
+};
+
+// NotAvailable that says *why* when the backend knows
+const SourceNotAvailable = ({ source, message }) => {
+  const { data } = useApp();
+  return <NotAvailable message={sourceProblem(data?.sources?.[source]) || message} />;
+};
+
 // ---------------------------
 // Nav
 // ---------------------------
 const Nav = ({ page, setPage, menu, setMenu }) => {
-  const { settings, setSettings, data, dataLoading } = useApp();
+  const { settings, setSettings, data, dataLoading, resorts } = useApp();
+  const currentResort = settings.resort || data?.resort?.id;
 
+  // A tab also shows when its upstream is down, so the page can say so
   const hasCams = (data?.CAMS?.length ?? 0) > 0;
-  const hasForecast = (data?.FORECAST?.daily?.length ?? 0) > 0;
-  const hasTemps = (data?.WEATHER?.length ?? 0) > 0;
-  const hasWind = hasTemps && data?.WEATHER?.some((w) => w.wind != null);
+  const hasForecast = (data?.FORECAST?.daily?.length ?? 0) > 0 || sourceDown(data, 'FORECAST');
+  const hasTemps = (data?.WEATHER?.length ?? 0) > 0 || sourceDown(data, 'WEATHER');
+  const hasWind = (hasTemps && data?.WEATHER?.some((w) => w.wind != null)) || sourceDown(data, 'WEATHER');
   const hasSnow = !!data?.SNOW;
-  const hasLifts = (data?.LIFTS?.length ?? 0) > 0;
-  const hasRuns = (data?.RUNS?.length ?? 0) > 0;
-  const hasAval = !!data?.AVAL;
-  const hasRoads = (data?.ROADS?.passes?.length ?? 0) > 0;
+  const hasLifts = (data?.LIFTS?.length ?? 0) > 0 || sourceDown(data, 'LIFTS');
+  const hasRuns = (data?.RUNS?.length ?? 0) > 0 || sourceDown(data, 'RUNS');
+  const hasAval = !!data?.AVAL || sourceDown(data, 'AVAL');
+  const hasRoads =
+    (data?.ROADS?.passes?.length ?? 0) > 0 ||
+    (data?.ROAD_ALERTS?.length ?? 0) > 0 ||
+    sourceDown(data, 'ROADS') ||
+    sourceDown(data, 'ROAD_ALERTS');
+  const hasAlerts = (data?.ALERTS?.length ?? 0) > 0 || sourceDown(data, 'ALERTS');
 
   const primary = [
     { id: 'home', label: 'Home', icon: Mountain },
@@ -174,6 +331,7 @@ const Nav = ({ page, setPage, menu, setMenu }) => {
   ].filter(Boolean);
 
   const secondary = [
+    hasAlerts && { id: 'alerts', label: 'Alerts', icon: Bell },
     hasTemps && { id: 'temps', label: 'Temps', icon: Thermometer },
     hasWind && { id: 'wind', label: 'Wind', icon: Wind },
     hasRoads && { id: 'roads', label: 'Roads', icon: MapPin },
@@ -197,6 +355,11 @@ const Nav = ({ page, setPage, menu, setMenu }) => {
 
           <div className="flex items-center gap-2">
             {dataLoading && <Loader className="w-4 h-4 text-cyan-400 animate-spin" />}
+            {data?.resort?.shortName && (
+              <button onClick={() => setMenu(true)} className="text-xs text-slate-400 truncate max-w-[7rem]">
+                {data.resort.shortName}
+              </button>
+            )}
             <button
               onClick={() => setSettings((s) => ({ ...s, units: s.units === 'imperial' ? 'metric' : 'imperial' }))}
               className="px-2 py-1 text-xs font-mono bg-slate-800 rounded border border-slate-700 text-slate-300"
@@ -228,6 +391,30 @@ const Nav = ({ page, setPage, menu, setMenu }) => {
       {menu && (
         <div className="fixed inset-0 z-40 bg-slate-900 pt-28 overflow-y-auto">
           <div className="px-4 py-6 space-y-6">
+            {resorts.length > 1 && (
+              <div>
+                <h3 className="text-xs font-semibold text-slate-500 uppercase mb-3">Resort</h3>
+                <div className="grid grid-cols-2 gap-2">
+                  {resorts.map((r) => (
+                    <button
+                      key={r.id}
+                      onClick={() => {
+                        setSettings((s) => ({ ...s, resort: r.id }));
+                        setMenu(false);
+                      }}
+                      className={`px-4 py-3 rounded-lg text-left ${
+                        currentResort === r.id
+                          ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30'
+                          : 'bg-slate-800/50 text-slate-300'
+                      }`}
+                    >
+                      {r.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div>
               <h3 className="text-xs font-semibold text-slate-500 uppercase mb-3">More</h3>
               <div className="grid grid-cols-2 gap-2">
@@ -278,35 +465,59 @@ const Nav = ({ page, setPage, menu, setMenu }) => {
 // ---------------------------
 const FreezingLevelCard = ({ units }) => {
   const { data } = useApp();
-  const [weekOffset, setWeekOffset] = useState(0);
+  const [mode, setMode] = useState('daily'); // daily (paged by week) | hourly (next 72h)
+  const [weekOffset, setWeekOffset] = useState(0); // > 0 weeks back, < 0 weeks ahead
   const MAX_WEEKS_BACK = 4;
 
-  // backend: data.FORECAST.freezing.daily = [{date, day, dom, max_m, min_m}]
+  // backend: data.FORECAST.freezing.daily = [{date, day, dom, max_m, min_m}],
+  // freezing.hourly = [{time, m}] (next 7 days), models.freezingHourly = [{time, mean, min, max}] (next 72h)
   const freezingDaily = data?.FORECAST?.freezing?.daily || [];
+  const freezingHourly = data?.FORECAST?.freezing?.hourly || [];
+  const modelHourly = data?.FORECAST?.models?.freezingHourly || [];
+  const elevations = data?.resort?.elevations;
 
   const weekData = useMemo(() => {
-    const map = new Map(
-      freezingDaily
-        .filter((d) => d?.date)
-        .map((d) => [d.date, typeof d.max_m === 'number' ? d.max_m : null])
-    );
+    const map = new Map(freezingDaily.filter((d) => d?.date).map((d) => [d.date, d]));
 
     const today = new Date();
     const points = [];
     for (let i = 0; i < 7; i++) {
       const date = toISODate(addDays(today, i - weekOffset * 7));
+      const d = map.get(date);
       points.push({
         date,
         label: dayLabel(date), // "Wed 14"
-        meters: map.has(date) ? map.get(date) : null,
+        meters: typeof d?.max_m === 'number' ? d.max_m : null,
+        range: typeof d?.min_m === 'number' && typeof d?.max_m === 'number' ? [d.min_m, d.max_m] : null,
       });
     }
     return points;
   }, [freezingDaily, weekOffset]);
 
+  // Next 72h: the best-match line, with the spread across models as the band
+  const hourData = useMemo(() => {
+    const spread = new Map(modelHourly.map((h) => [h.time, h]));
+    const base = freezingHourly.length ? freezingHourly : modelHourly.map((h) => ({ time: h.time, m: h.mean }));
+    return base.slice(0, 72).map((h) => {
+      const s = spread.get(h.time);
+      return {
+        label: new Date(h.time).toLocaleString([], { weekday: 'short', hour: 'numeric' }),
+        meters: h.m ?? null,
+        range: s ? [s.min, s.max] : null,
+      };
+    });
+  }, [freezingHourly, modelHourly]);
+
+  // Forward paging stops at the last forecast day
+  const lastDate = freezingDaily.length ? freezingDaily[freezingDaily.length - 1].date : null;
+  const maxWeeksAhead = lastDate
+    ? Math.max(0, Math.floor((Date.parse(lastDate) - Date.parse(toISODate(new Date()))) / (7 * 86400000)))
+    : 0;
+
   const hasAnyData = freezingDaily.length > 0;
-  const canGoForward = weekOffset > 0;
+  const canGoForward = weekOffset > -maxWeeksAhead;
   const canGoBack = weekOffset < MAX_WEEKS_BACK;
+  const hourly = mode === 'hourly' && hourData.length > 0;
 
   const yTickFormatter = (v) => {
     if (v == null) return '';
@@ -331,14 +542,30 @@ const FreezingLevelCard = ({ units }) => {
     <Card className="p-4">
       <div className="flex items-center justify-between mb-2">
         <div>
-          <h3 className="text-sm font-semibold text-slate-400 uppercase">Freezing Level (7-day)</h3>
+          <h3 className="text-sm font-semibold text-slate-400 uppercase">
+            Freezing Level ({hourly ? '72h' : '7-day'})
+          </h3>
           <p className="text-xs text-slate-500 mt-1">
-            {weekOffset === 0 ? 'Current week' : `${weekOffset} week${weekOffset === 1 ? '' : 's'} back`}
+            {hourly
+              ? 'Hourly, band = model min/max'
+              : weekOffset === 0
+              ? 'Current week'
+              : `${Math.abs(weekOffset)} week${Math.abs(weekOffset) === 1 ? '' : 's'} ${
+                  weekOffset > 0 ? 'back' : 'ahead'
+                }`}
           </p>
         </div>
 
         <div className="flex items-center gap-2">
-          {canGoBack && (
+          {hourData.length > 0 && (
+            <button
+              onClick={() => setMode(hourly ? 'daily' : 'hourly')}
+              className="px-2 py-1.5 bg-slate-800/70 border border-slate-700 rounded-lg text-xs text-slate-200 hover:bg-slate-800"
+            >
+              {hourly ? 'Daily' : '72h'}
+            </button>
+          )}
+          {!hourly && canGoBack && (
             <button
               onClick={() => setWeekOffset((w) => Math.min(MAX_WEEKS_BACK, w + 1))}
               className="p-2 bg-slate-800/70 border border-slate-700 rounded-lg text-slate-200 hover:bg-slate-800"
@@ -347,9 +574,9 @@ const FreezingLevelCard = ({ units }) => {
               <ChevronLeft className="w-4 h-4" />
             </button>
           )}
-          {canGoForward && (
+          {!hourly && canGoForward && (
             <button
-              onClick={() => setWeekOffset((w) => Math.max(0, w - 1))}
+              onClick={() => setWeekOffset((w) => Math.max(-maxWeeksAhead, w - 1))}
               className="p-2 bg-slate-800/70 border border-slate-700 rounded-lg text-slate-200 hover:bg-slate-800"
               title="Next week"
             >
@@ -361,8 +588,14 @@ const FreezingLevelCard = ({ units }) => {
 
       <div className="h-44">
         <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={weekData}>
-            <XAxis dataKey="label" tick={{ fill: '#64748b', fontSize: 10 }} axisLine={false} tickLine={false} />
+          <ComposedChart data={hourly ? hourData : weekData}>
+            <XAxis
+              dataKey="label"
+              tick={{ fill: '#64748b', fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+              minTickGap={hourly ? 24 : 0}
+            />
             <YAxis
               tick={{ fill: '#64748b', fontSize: 10 }}
               axisLine={false}
@@ -373,23 +606,268 @@ const FreezingLevelCard = ({ units }) => {
             <Tooltip
               contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px' }}
               labelStyle={{ color: '#cbd5e1' }}
-              formatter={(val) => [fmt.height(val, units), 'Freezing level (max)']}
+              formatter={(val, key) =>
+                key === 'range'
+                  ? [`${fmt.height(val[0], units)} – ${fmt.height(val[1], units)}`, hourly ? 'Models' : 'Min–max']
+                  : [fmt.height(val, units), hourly ? 'Freezing level' : 'Freezing level (max)']
+              }
             />
+            <Area type="monotone" dataKey="range" stroke="none" fill="#f59e0b" fillOpacity={0.15} connectNulls />
             <Line type="monotone" dataKey="meters" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls />
-          </LineChart>
+            {elevations &&
+              [
+                ['Summit', elevations.summit],
+                ['Base', elevations.base],
+              ].map(([label, ft]) => (
+                <ReferenceLine
+                  key={label}
+                  y={ft * 0.3048}
+                  stroke="#94a3b8"
+                  strokeDasharray="4 4"
+                  ifOverflow="extendDomain"
+                  label={{ value: label, position: 'insideTopLeft', fill: '#94a3b8', fontSize: 10 }}
+                />
+              ))}
+          </ComposedChart>
         </ResponsiveContainer>
       </div>
 
       <div className="mt-3 text-xs text-slate-500">
-        Tip: Use the arrows to browse back up to ~1 month of weekly freezing levels.
+        When the freezing level drops below a dashed line, it's freezing at that elevation. Use the arrows to browse
+        from ~1 month back to the end of the 16-day forecast.
       </div>
     </Card>
   );
 };
 
+// ---------------------------
+// NWS watches / warnings
+// ---------------------------
+const AlertBanner = ({ setPage }) => {
+  const { settings, setSettings, data } = useApp();
+  const dismissed = settings.dismissedAlerts || [];
+  const ALERTS = (data?.ALERTS || []).filter((a) => !dismissed.includes(a.id));
+  if (ALERTS.length === 0) return null;
+
+  const top = ALERTS[0]; // backend sorts most severe first
+  // Only remember ids that are still active, so the list doesn't grow forever
+  const dismiss = () =>
+    setSettings((s) => {
+      const active = new Set((data?.ALERTS || []).map((a) => a.id));
+      return { ...s, dismissedAlerts: [...(s.dismissedAlerts || []).filter((id) => active.has(id)), top.id] };
+    });
+
+  return (
+    <div className={`p-4 rounded-xl border ${severityStyle(top.severity)}`}>
+      <div className="flex items-start gap-3">
+        <Bell className="w-5 h-5 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <h3 className="text-sm font-semibold">{top.event}</h3>
+          {top.headline && <p className="text-sm text-slate-300 mt-1">{top.headline}</p>}
+          <button onClick={() => setPage('alerts')} className="text-xs text-cyan-400 mt-2">
+            {ALERTS.length > 1 ? `All ${ALERTS.length} alerts →` : 'Details →'}
+          </button>
+        </div>
+        <button onClick={dismiss} className="p-1 text-slate-400" title="Dismiss">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AlertsPage = () => {
+  const { data } = useApp();
+  const ALERTS = data?.ALERTS || [];
+  if (ALERTS.length === 0) return <SourceNotAvailable source="ALERTS" message="No active NWS alerts" />;
+
+  return (
+    <div className="space-y-4">
+      {ALERTS.map((a) => (
+        <Card key={a.id} className="p-4">
+          <div className="flex items-start justify-between gap-3 mb-2">
+            <h3 className="font-medium text-white">{a.event}</h3>
+            <span
+              className={`px-2 py-0.5 text-xs font-semibold uppercase tracking-wide rounded-full border ${severityStyle(
+                a.severity
+              )}`}
+            >
+              {a.severity}
+            </span>
+          </div>
+          {a.headline && <p className="text-sm text-slate-300 mb-2">{a.headline}</p>}
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400 mb-3">
+            <span>From {fmtTime(a.onset)}</span>
+            <span>Until {fmtTime(a.ends)}</span>
+            {a.sender && <span>{a.sender}</span>}
+          </div>
+          {a.description && <p className="text-sm text-slate-300 whitespace-pre-line">{a.description}</p>}
+          {a.instruction && (
+            <p className="text-sm text-amber-400 whitespace-pre-line mt-3 pt-3 border-t border-slate-700">
+              {a.instruction}
+            </p>
+          )}
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+// One row per pass with the go/no-go for `vehicle`
+const PassVerdicts = ({ passes, vehicle }) => (
+  <div className="space-y-2">
+    {passes.map((p, i) => {
+      const verdict = passVerdict(p, vehicle);
+      return (
+        <div key={p.id || i} className="flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <p className="text-sm text-white truncate">{p.name}</p>
+            {verdict && <p className="text-xs text-slate-500 truncate">{verdict.note}</p>}
+          </div>
+          {verdict && <Badge status={VERDICT_BADGE[verdict.verdict]} label={verdict.verdict} />}
+        </div>
+      );
+    })}
+  </div>
+);
+
 // ---------------------------
 // Pages
 // ---------------------------
+const PRECIP_TYPES = {
+  snow: { icon: '❄️', label: 'Snow', className: 'text-cyan-400' },
+  mix: { icon: '🌨️', label: 'Mix', className: 'text-violet-400' },
+  rain: { icon: '🌧️', label: 'Rain', className: 'text-sky-400' },
+};
+const PrecipType = ({ type }) => {
+  const t = PRECIP_TYPES[type];
+  return t ? (
+    <span className={t.className}>{`${t.icon} ${t.label}`}</span>
+  ) : (
+    <span className="text-slate-500">Dry</span>
+  );
+};
+
+// Base and summit side by side. `days` also lists each forecast day's range and precip type.
+const ElevationBands = ({ bands, units, days = false, onClick }) => (
+  <Card className="p-4" onClick={onClick}>
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="text-sm font-semibold text-slate-400 uppercase">Base vs Summit</h3>
+      {bands.snowLevelFt != null && (
+        <span className="text-xs text-slate-500">Snow level {fmt.elev(bands.snowLevelFt, units)}</span>
+      )}
+    </div>
+    <div className="grid grid-cols-2 gap-3">
+      {[
+        ['Summit', bands.summit],
+        ['Base', bands.base],
+      ].map(([label, b]) => (
+        <div key={label} className="bg-slate-900/50 rounded-lg p-3">
+          <p className="text-xs text-slate-500">
+            {label} · {fmt.elev(b.elevFt, units)}
+          </p>
+          <p className="text-2xl font-bold text-white mt-1">{fmt.temp(b.temp, units)}</p>
+          <p className="text-sm mt-1">
+            <PrecipType type={b.type} />
+          </p>
+          {days && (
+            <div className="mt-3 pt-3 border-t border-slate-700 space-y-1.5">
+              {b.days.map((d) => (
+                <div key={d.date} className="flex items-center justify-between text-xs">
+                  <span className="text-slate-400 w-8">{d.day}</span>
+                  <span className="text-white">
+                    {fmt.temp(d.hi, units)} / {fmt.temp(d.lo, units)}
+                  </span>
+                  <span title={PRECIP_TYPES[d.type]?.label || 'Dry'}>{PRECIP_TYPES[d.type]?.icon || '·'}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  </Card>
+);
+
+// ---------------------------
+// Ski day score (backend: data.SKI = { today, days: [{ date, day, score, grade, factors }], best: [date] })
+// ---------------------------
+const scoreColor = (score) =>
+  score >= 70 ? 'text-emerald-400' : score >= 55 ? 'text-cyan-400' : score >= 40 ? 'text-amber-400' : 'text-rose-400';
+const scoreBar = (score) =>
+  score >= 70 ? 'bg-emerald-500' : score >= 55 ? 'bg-cyan-500' : score >= 40 ? 'bg-amber-500' : 'bg-rose-500';
+
+const SkiScoreCard = ({ ski }) => {
+  const [open, setOpen] = useState(false);
+  const today = ski.today;
+  return (
+    <Card className="p-4" onClick={() => setOpen((o) => !o)}>
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-semibold text-slate-400 uppercase">Ski Day Score</h3>
+          <p className="text-xs text-slate-500 mt-1">
+            {today.day} ·{' '}
+            {today.factors
+              .map((f) => f.note)
+              .slice(0, 2)
+              .join(' · ')}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className={`text-4xl font-bold ${scoreColor(today.score)}`}>{today.score}</p>
+          <p className={`text-xs ${scoreColor(today.score)}`}>{today.grade}</p>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-4 pt-4 border-t border-slate-700 space-y-2">
+          {today.factors.map((f) => (
+            <div key={f.id}>
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-slate-300">{f.label}</span>
+                <span className="text-slate-500">{f.note}</span>
+              </div>
+              <div className="h-1.5 bg-slate-700 rounded-full mt-1">
+                <div className={`h-full rounded-full ${scoreBar(f.score)}`} style={{ width: `${f.score}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-slate-500 mt-3">{open ? 'Tap to hide' : 'Tap for the breakdown'}</p>
+    </Card>
+  );
+};
+
+const BestDays = ({ ski }) => {
+  const byDate = Object.fromEntries(ski.days.map((d) => [d.date, d]));
+  return (
+    <Card className="p-4">
+      <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Best Days This Week</h3>
+      <div className="space-y-2">
+        {ski.best.slice(0, 7).map((date, i) => {
+          const d = byDate[date];
+          // The factor doing the most for the day
+          const top = [...d.factors].sort((a, b) => b.score * b.weight - a.score * a.weight)[0];
+          return (
+            <div key={date} className="flex items-center gap-3">
+              <span className="w-4 text-xs text-slate-500">{i + 1}</span>
+              <span className="w-16 text-sm text-white">{dayLabel(date)}</span>
+              <div className="flex-1 min-w-0">
+                <div className="h-1.5 bg-slate-700 rounded-full">
+                  <div className={`h-full rounded-full ${scoreBar(d.score)}`} style={{ width: `${d.score}%` }} />
+                </div>
+                {top && <p className="text-xs text-slate-500 mt-1 truncate">{top.note}</p>}
+              </div>
+              <span className={`w-8 text-right text-sm font-semibold ${scoreColor(d.score)}`}>{d.score}</span>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+};
+
 const Home = ({ setPage }) => {
   const { settings, data } = useApp();
 
@@ -399,13 +877,16 @@ const Home = ({ setPage }) => {
   const LIFTS = data?.LIFTS || [];
   const RUNS = data?.RUNS || [];
   const AVAL = data?.AVAL;
+  const passes = data?.ROADS?.passes || [];
+  const severeRoadAlerts = (data?.ROAD_ALERTS || []).filter((a) => a.severe);
 
   const openLifts = LIFTS.filter((l) => l.status === 'open').length;
   const groomedRuns = RUNS.filter((r) => r.groomed).length;
 
   const hasSnow = !!SNOW;
-  const hasLifts = LIFTS.length > 0;
-  const hasRuns = RUNS.length > 0;
+  // Catalog entries without live status come back as 'unknown'; don't count those as closed
+  const hasLifts = LIFTS.some((l) => l.status !== 'unknown');
+  const hasRuns = RUNS.some((r) => r.status !== 'unknown');
   const hasTemps = WEATHER.length > 0;
   const hasForecast = FORECAST.daily.length > 0;
   const hasAval = AVAL?.level != null;
@@ -423,13 +904,56 @@ const Home = ({ setPage }) => {
 
   return (
     <div className="space-y-6">
+      {(data?.ANNOUNCEMENTS || []).map((a) => (
+        <Card
+          key={a.id}
+          className={`p-4 ${
+            a.level === 'warning' ? 'bg-amber-500/10 border-amber-500/30' : 'bg-cyan-500/10 border-cyan-500/30'
+          }`}
+        >
+          <div className="flex items-start gap-3">
+            <Pin
+              className={`w-4 h-4 flex-shrink-0 mt-0.5 ${a.level === 'warning' ? 'text-amber-400' : 'text-cyan-400'}`}
+            />
+            <div className="min-w-0">
+              <p className="text-sm text-white whitespace-pre-line">{a.text}</p>
+              <p className="text-xs text-slate-500 mt-1">
+                {data?.resort?.shortName || 'Resort'} · {ago(a.at)}
+              </p>
+            </div>
+          </div>
+        </Card>
+      ))}
+
+      <AlertBanner setPage={setPage} />
+
+      {severeRoadAlerts.length > 0 && (
+        <Card
+          className={`p-4 ${severityStyle(ROAD_ALERT_SEVERITY[severeRoadAlerts[0].priority])}`}
+          onClick={() => setPage('roads')}
+        >
+          <div className="flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+            <div className="min-w-0">
+              <h3 className="text-sm font-semibold">{severeRoadAlerts[0].headline || 'Highway alert'}</h3>
+              <p className="text-xs text-slate-400 mt-1">{roadAlertWhere(severeRoadAlerts[0])}</p>
+              <p className="text-xs text-cyan-400 mt-2">
+                {severeRoadAlerts.length > 1 ? `${severeRoadAlerts.length} highway alerts →` : 'Roads →'}
+              </p>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {data?.SKI?.today && <SkiScoreCard ski={data.SKI} />}
+
       <div className="grid grid-cols-2 gap-3">
         {hasSnow && (
           <Stat
             icon={Snowflake}
             label="New Snow (24h)"
             value={fmt.snow(SNOW.new24h, settings.units)}
-            sub={`Base: ${fmt.snow(SNOW.base, settings.units)}`}
+            sub={`Base: ${fmt.snow(SNOW.base, settings.units)}${SNOW.manual ? ' · reported' : ''}`}
             onClick={() => setPage('snow')}
           />
         )}
@@ -449,6 +973,10 @@ const Home = ({ setPage }) => {
         )}
       </div>
 
+      {FORECAST.elevations && (
+        <ElevationBands bands={FORECAST.elevations} units={settings.units} onClick={() => setPage('forecast')} />
+      )}
+
       <FreezingLevelCard units={settings.units} />
 
       {hasForecast && (
@@ -468,6 +996,18 @@ const Home = ({ setPage }) => {
         </Card>
       )}
 
+      {data?.SKI?.days?.length > 1 && <BestDays ski={data.SKI} />}
+
+      {passes.length > 0 && (
+        <Card className="p-4" onClick={() => setPage('roads')}>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-slate-400 uppercase">Passes</h3>
+            <span className="text-xs text-slate-500">{VEHICLES.find((v) => v.id === settings.vehicle)?.label}</span>
+          </div>
+          <PassVerdicts passes={passes} vehicle={settings.vehicle} />
+        </Card>
+      )}
+
       {hasAval && AVAL.level >= 3 && (
         <Card className="p-4 border-amber-500/30 bg-amber-500/5">
           <div className="flex items-start gap-3">
@@ -475,7 +1015,7 @@ const Home = ({ setPage }) => {
             <div>
               <h3 className="text-sm font-semibold text-amber-400">Avalanche Warning</h3>
               <p className="text-sm text-slate-300 mt-1">
-                {AVAL.danger}. {AVAL.problems?.join(', ')}
+                {AVAL.danger}. {AVAL.problems?.map((p) => p.name).join(', ')}
               </p>
               <button onClick={() => setPage('backcountry')} className="text-xs text-cyan-400 mt-2">
                 Full Report →
@@ -488,6 +1028,110 @@ const Home = ({ setPage }) => {
   );
 };
 
+// "SR 410 · MP 57 · 1.5 mi"
+const camTags = (c) =>
+  [c.road, c.milepost != null && `MP ${c.milepost}`, c.distance != null && `${c.distance} mi`]
+    .filter(Boolean)
+    .join(' · ');
+
+const CamGrid = ({ cams, onSelect, imgErr, setImgErr }) => (
+  <div className="grid grid-cols-2 gap-3">
+    {cams.map((c) => (
+      <Card key={c.id} onClick={() => onSelect(c.id)}>
+        <div className="aspect-video bg-slate-900 flex items-center justify-center overflow-hidden">
+          {c.src && !imgErr[c.id] ? (
+            <img
+              src={c.thumb || c.src}
+              alt={c.name || c.title}
+              className="w-full h-full object-cover"
+              onError={() => setImgErr((p) => ({ ...p, [c.id]: true }))}
+            />
+          ) : (
+            <span className="text-4xl">{c.icon || '📷'}</span>
+          )}
+        </div>
+        <div className="p-3">
+          <h3 className="text-sm font-medium text-white truncate">{c.name || c.title}</h3>
+          <p className="text-xs text-slate-500 truncate">{c.road ? camTags(c) : c.category || 'camera'}</p>
+        </div>
+      </Card>
+    ))}
+  </div>
+);
+
+// Scrubbable playback of a camera's archived frames (from /api/cams/:id/frames)
+const Timelapse = ({ url }) => {
+  const [frames, setFrames] = useState(null);
+  const [i, setI] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFrames(null);
+    setPlaying(false);
+    fetch(url, { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => {
+        if (cancelled) return;
+        const list = json?.frames || [];
+        setFrames(list);
+        setI(Math.max(list.length - 1, 0));
+      })
+      .catch(() => !cancelled && setFrames([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  useEffect(() => {
+    if (!playing || !frames?.length) return;
+    const t = setInterval(() => setI((x) => (x + 1) % frames.length), 400);
+    return () => clearInterval(t);
+  }, [playing, frames]);
+
+  if (!frames || frames.length < 2) return null;
+  const frame = frames[i];
+
+  return (
+    <Card>
+      <div className="aspect-video bg-slate-900 overflow-hidden">
+        <img src={frame.image} alt={`Frame ${i + 1}`} className="w-full h-full object-cover" />
+      </div>
+      <div className="p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-slate-400 uppercase">Timelapse</h3>
+          <span className="text-sm text-white">
+            {new Date(frame.capturedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+          </span>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setPlaying((p) => !p)}
+            className="p-2 bg-cyan-500/20 rounded-lg text-cyan-400"
+            title={playing ? 'Pause' : 'Play'}
+          >
+            {playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={frames.length - 1}
+            value={i}
+            onChange={(e) => {
+              setPlaying(false);
+              setI(Number(e.target.value));
+            }}
+            className="flex-1 accent-cyan-500"
+          />
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          {frames.length} frames, oldest {ago(frames[0].capturedAt)}
+        </p>
+      </div>
+    </Card>
+  );
+};
+
 const Cams = () => {
   const { data } = useApp();
   const CAMS = data?.CAMS || [];
@@ -506,6 +1150,9 @@ const Cams = () => {
   }));
 
   const cams = filter === 'all' ? normalized : normalized.filter((c) => c.category === filter);
+  // Backend order is already by route and distance; keep it within each group
+  const groups = (filter === 'all' ? categories : [filter]).map((cat) => [cat, cams.filter((c) => c.category === cat)]);
+  const uncategorized = cams.filter((c) => !c.category);
 
   useEffect(() => {
     if (!sel) return;
@@ -513,7 +1160,7 @@ const Cams = () => {
     if (!exists) setSel(null);
   }, [sel, normalized]);
 
-  if (normalized.length === 0) return <NotAvailable message="No webcams available" />;
+  if (normalized.length === 0) return <SourceNotAvailable source="CAMS" message="No webcams available" />;
 
   if (sel) {
     const cam = normalized.find((c) => c.id === sel);
@@ -579,9 +1226,13 @@ const Cams = () => {
           <div className="p-4">
             <h2 className="text-lg font-semibold text-white">{cam.name || cam.title}</h2>
             <p className="text-sm text-slate-400 mt-1">{cam.desc || cam.location || ''}</p>
+            {cam.road && <p className="text-xs text-slate-500 mt-1">{camTags(cam)}</p>}
+            {cam.updated && <p className="text-xs text-slate-500 mt-1">Captured {ago(cam.updated)}</p>}
           </div>
         </Card>
 
+        {cam.frames && <Timelapse url={cam.frames} />}
+
         <div className="flex gap-2">
           <button
             disabled={idx === 0}
@@ -607,7 +1258,7 @@ const Cams = () => {
   return (
     <div className="space-y-4">
       {categories.length > 1 && (
-        <div className="flex gap-2">
+        <div className="flex gap-2 overflow-x-auto" style={{ scrollbarWidth: 'none' }}>
           <button
             onClick={() => setFilter('all')}
             className={`px-4 py-2 rounded-lg text-sm ${
@@ -620,7 +1271,7 @@ const Cams = () => {
             <button
               key={cat}
               onClick={() => setFilter(cat)}
-              className={`px-4 py-2 rounded-lg text-sm capitalize ${
+              className={`px-4 py-2 rounded-lg text-sm whitespace-nowrap ${
                 filter === cat ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30' : 'bg-slate-800 text-slate-400'
               }`}
             >
@@ -630,29 +1281,233 @@ const Cams = () => {
         </div>
       )}
 
-      <div className="grid grid-cols-2 gap-3">
-        {cams.map((c) => (
-          <Card key={c.id} onClick={() => setSel(c.id)}>
-            <div className="aspect-video bg-slate-900 flex items-center justify-center overflow-hidden">
-              {c.src && !imgErr[c.id] ? (
-                <img
-                  src={c.src}
-                  alt={c.name || c.title}
-                  className="w-full h-full object-cover"
-                  onError={() => setImgErr((p) => ({ ...p, [c.id]: true }))}
-                />
-              ) : (
-                <span className="text-4xl">{c.icon || '📷'}</span>
+      {groups.map(
+        ([cat, list]) =>
+          list.length > 0 && (
+            <div key={cat}>
+              {filter === 'all' && categories.length > 1 && (
+                <h3 className="text-sm font-semibold text-slate-400 uppercase mb-2">{cat}</h3>
               )}
+              <CamGrid cams={list} onSelect={setSel} imgErr={imgErr} setImgErr={setImgErr} />
             </div>
-            <div className="p-3">
-              <h3 className="text-sm font-medium text-white truncate">{c.name || c.title}</h3>
-              <p className="text-xs text-slate-500 capitalize">{c.category || 'camera'}</p>
-            </div>
-          </Card>
+          )
+      )}
+      {uncategorized.length > 0 && (
+        <CamGrid cams={uncategorized} onSelect={setSel} imgErr={imgErr} setImgErr={setImgErr} />
+      )}
+    </div>
+  );
+};
+
+// Hourly chart series. Values come from the backend in °F / mph / % / inches.
+const HOURLY_SERIES = {
+  temp: {
+    label: 'Temp',
+    areas: [{ key: 'temp', color: '#06b6d4' }],
+    unit: (u) => (u === 'metric' ? '°C' : '°F'),
+    convert: (v, u) => (u === 'metric' ? Math.round(((v - 32) * 5) / 9) : v),
+  },
+  wind: {
+    label: 'Wind / Gust',
+    areas: [
+      { key: 'wind', color: '#06b6d4' },
+      { key: 'gust', color: '#f59e0b' },
+    ],
+    unit: (u) => (u === 'metric' ? ' km/h' : ' mph'),
+    convert: (v, u) => (u === 'metric' ? Math.round(v * 1.609) : v),
+  },
+  pop: {
+    label: 'Precip %',
+    areas: [{ key: 'pop', color: '#38bdf8' }],
+    unit: () => '%',
+    convert: (v) => v,
+  },
+  snow: {
+    label: 'Snowfall',
+    areas: [{ key: 'snow', color: '#e2e8f0' }],
+    unit: (u) => (u === 'metric' ? 'cm' : '"'),
+    convert: (v, u) => (u === 'metric' ? Math.round(v * 2.54 * 10) / 10 : v),
+  },
+};
+
+const HourlyCard = ({ hourly, units }) => {
+  const [series, setSeries] = useState('temp');
+  const cfg = HOURLY_SERIES[series];
+  const rows = hourly.map((h) => {
+    const row = {
+      label: h.startTime ? new Date(h.startTime).toLocaleString([], { weekday: 'short', hour: 'numeric' }) : h.time,
+    };
+    for (const a of cfg.areas) row[a.key] = h[a.key] == null ? null : cfg.convert(h[a.key], units);
+    return row;
+  });
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase">Hourly</h3>
+        <div className="flex gap-1 overflow-x-auto" style={{ scrollbarWidth: 'none' }}>
+          {Object.entries(HOURLY_SERIES).map(([id, s]) => (
+            <button
+              key={id}
+              onClick={() => setSeries(id)}
+              className={`px-2 py-1 rounded text-xs whitespace-nowrap ${
+                series === id ? 'bg-cyan-500/20 text-cyan-400' : 'bg-slate-800 text-slate-400'
+              }`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="h-40">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={rows}>
+            <defs>
+              {cfg.areas.map((a) => (
+                <linearGradient key={a.key} id={`hg-${a.key}`} x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor={a.color} stopOpacity={0.3} />
+                  <stop offset="95%" stopColor={a.color} stopOpacity={0} />
+                </linearGradient>
+              ))}
+            </defs>
+            <XAxis
+              dataKey="label"
+              tick={{ fill: '#64748b', fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+              minTickGap={24}
+            />
+            <YAxis hide domain={series === 'temp' ? ['dataMin-5', 'dataMax+5'] : [0, 'auto']} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px' }}
+              formatter={(val, key) => [`${val}${cfg.unit(units)}`, key]}
+            />
+            {cfg.areas.map((a) => (
+              <Area
+                key={a.key}
+                type="monotone"
+                dataKey={a.key}
+                stroke={a.color}
+                strokeWidth={2}
+                fill={`url(#hg-${a.key})`}
+                connectNulls
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </Card>
+  );
+};
+
+// Model comparison. Backend values: inches, °F, meters (freezing level).
+const MODEL_COLORS = { gfs: '#38bdf8', ecmwf: '#a78bfa', gem: '#f472b6', icon: '#34d399', hrrr: '#fbbf24' };
+const MODEL_FIELDS = {
+  snow: {
+    label: 'Snowfall',
+    unit: (u) => (u === 'metric' ? 'cm' : '"'),
+    convert: (v, u) => (u === 'metric' ? Math.round(v * 2.54 * 10) / 10 : v),
+  },
+  precip: {
+    label: 'Precip',
+    unit: (u) => (u === 'metric' ? 'mm' : '"'),
+    convert: (v, u) => (u === 'metric' ? Math.round(v * 25.4) : v),
+  },
+  hi: {
+    label: 'High',
+    unit: (u) => (u === 'metric' ? '°C' : '°F'),
+    convert: (v, u) => (u === 'metric' ? Math.round(((v - 32) * 5) / 9) : v),
+  },
+  freezingMaxM: {
+    label: 'Freezing lvl',
+    unit: (u) => (u === 'metric' ? ' m' : ' ft'),
+    convert: (v, u) => (u === 'metric' ? v : Math.round(v * 3.28084)),
+  },
+};
+
+const ModelSpreadCard = ({ models, units }) => {
+  const [field, setField] = useState('snow');
+  const cfg = MODEL_FIELDS[field];
+  const conv = (v) => (v == null ? null : cfg.convert(v, units));
+
+  const rows = models.daily.map((d) => {
+    const c = d.consensus?.[field];
+    const row = {
+      label: `${d.day} ${d.dom}`,
+      mean: conv(c?.mean),
+      range: c ? [conv(c.min), conv(c.max)] : null,
+    };
+    for (const m of models.models) row[m.id] = conv(d.models[m.id]?.[field]);
+    return row;
+  });
+  const names = Object.fromEntries(models.models.map((m) => [m.id, m.name]));
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase">Model Spread</h3>
+        <div className="flex gap-1 overflow-x-auto" style={{ scrollbarWidth: 'none' }}>
+          {Object.entries(MODEL_FIELDS).map(([id, f]) => (
+            <button
+              key={id}
+              onClick={() => setField(id)}
+              className={`px-2 py-1 rounded text-xs whitespace-nowrap ${
+                field === id ? 'bg-cyan-500/20 text-cyan-400' : 'bg-slate-800 text-slate-400'
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows}>
+            <XAxis dataKey="label" tick={{ fill: '#64748b', fontSize: 10 }} axisLine={false} tickLine={false} />
+            <YAxis
+              tick={{ fill: '#64748b', fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+              width={36}
+              domain={field === 'snow' || field === 'precip' ? [0, 'auto'] : ['auto', 'auto']}
+            />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px' }}
+              labelStyle={{ color: '#cbd5e1' }}
+              formatter={(val, key) => [
+                Array.isArray(val) ? `${val[0]}–${val[1]}${cfg.unit(units)}` : `${val}${cfg.unit(units)}`,
+                key === 'range' ? 'Min–max' : key === 'mean' ? 'Consensus' : names[key] || key,
+              ]}
+            />
+            <Area type="monotone" dataKey="range" stroke="none" fill="#06b6d4" fillOpacity={0.15} connectNulls />
+            {models.models.map((m) => (
+              <Line
+                key={m.id}
+                type="monotone"
+                dataKey={m.id}
+                stroke={MODEL_COLORS[m.id] || '#94a3b8'}
+                strokeWidth={1}
+                strokeOpacity={0.7}
+                dot={false}
+                connectNulls={false}
+              />
+            ))}
+            <Line type="monotone" dataKey="mean" stroke="#06b6d4" strokeWidth={3} dot={false} connectNulls />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mt-3 text-xs text-slate-400">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-0.5 bg-cyan-500" /> Consensus
+        </span>
+        {models.models.map((m) => (
+          <span key={m.id} className="flex items-center gap-1">
+            <span className="w-3 h-0.5" style={{ backgroundColor: MODEL_COLORS[m.id] || '#94a3b8' }} /> {m.name}
+          </span>
         ))}
       </div>
-    </div>
+      <p className="text-xs text-slate-500 mt-2">Shaded band: lowest to highest model. Consensus is the mean.</p>
+    </Card>
   );
 };
 
@@ -663,7 +1518,8 @@ const Forecast = () => {
   const [idx, setIdx] = useState(0);
   const station = WEATHER[idx];
 
-  if (FORECAST.daily.length === 0 && FORECAST.hourly.length === 0) return <NotAvailable message="Forecast not available" />;
+  if (FORECAST.daily.length === 0 && FORECAST.hourly.length === 0)
+    return <SourceNotAvailable source="FORECAST" message="Forecast not available" />;
 
   return (
     <div className="space-y-4">
@@ -710,28 +1566,11 @@ const Forecast = () => {
         </Card>
       )}
 
-      {FORECAST.hourly.length > 0 && (
-        <Card className="p-4">
-          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Hourly</h3>
-          <div className="h-40">
-            <ResponsiveContainer width="100%" height="100%">
-              <AreaChart data={FORECAST.hourly}>
-                <defs>
-                  <linearGradient id="tg" x1="0" y1="0" x2="0" y2="1">
-                    <stop offset="5%" stopColor="#06b6d4" stopOpacity={0.3} />
-                    <stop offset="95%" stopColor="#06b6d4" stopOpacity={0} />
-                  </linearGradient>
-                </defs>
-                {/* FIX: backend sends "time", not "hr" */}
-                <XAxis dataKey="time" tick={{ fill: '#64748b', fontSize: 10 }} axisLine={false} tickLine={false} />
-                <YAxis hide domain={['dataMin-5', 'dataMax+5']} />
-                <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px' }} />
-                <Area type="monotone" dataKey="temp" stroke="#06b6d4" strokeWidth={2} fill="url(#tg)" />
-              </AreaChart>
-            </ResponsiveContainer>
-          </div>
-        </Card>
-      )}
+      {FORECAST.elevations && <ElevationBands bands={FORECAST.elevations} units={settings.units} days />}
+
+      {FORECAST.hourly.length > 0 && <HourlyCard hourly={FORECAST.hourly} units={settings.units} />}
+
+      {FORECAST.models?.daily?.length > 0 && <ModelSpreadCard models={FORECAST.models} units={settings.units} />}
 
       {FORECAST.daily.length > 0 && (
         <Card className="p-4">
@@ -764,16 +1603,182 @@ const Forecast = () => {
 
 /* ---- Everything below here is unchanged from what you pasted (Lifts, Runs, Snow, Temps, WindPage, Roads, Backcountry, Info, About, Support, Privacy) ---- */
 
+// ---------------------------
+// Wind-hold risk (backend: data.LIFT_WIND = { stationGust, lifts: [{ name, exposure, holdGust, now, peak, hourly }] })
+// ---------------------------
+const EXPOSURE_LABELS = { gondola: 'Summit gondola', exposed: 'Exposed chair', sheltered: 'Sheltered chair' };
+const holdColor = (p) =>
+  p == null
+    ? 'bg-slate-700'
+    : p >= 70
+    ? 'bg-rose-500'
+    : p >= 40
+    ? 'bg-amber-500'
+    : p >= 15
+    ? 'bg-yellow-500/60'
+    : 'bg-emerald-500/60';
+const holdText = (p) =>
+  p == null ? 'text-slate-500' : p >= 70 ? 'text-rose-400' : p >= 40 ? 'text-amber-400' : 'text-emerald-400';
+// Catalog and provider spell lift names differently ("Mt. Rainier Gondola" / "Mt Rainier Gondola")
+const liftKey = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+const hourLabel = (iso) => new Date(iso).toLocaleTimeString([], { hour: 'numeric' });
+
+const LiftWindCard = ({ liftWind, units }) => (
+  <Card className="p-4">
+    <div className="flex items-center justify-between mb-1">
+      <h3 className="text-sm font-semibold text-slate-400 uppercase">Wind Hold Risk (12h)</h3>
+      {liftWind.stationGust != null && (
+        <span className="text-xs text-slate-500">Stations gusting {fmt.wind(liftWind.stationGust, units)}</span>
+      )}
+    </div>
+    <p className="text-xs text-slate-500 mb-3">Chance of a wind hold, from the gust forecast and live station gusts.</p>
+    <div className="space-y-3">
+      {liftWind.lifts.map((l) => (
+        <div key={l.name}>
+          <div className="flex items-center justify-between">
+            <div className="min-w-0">
+              <p className="text-sm text-white truncate">{l.name}</p>
+              <p className="text-xs text-slate-500">
+                {EXPOSURE_LABELS[l.exposure] || l.exposure}
+                {l.assumed && ' (assumed)'} · holds ~{fmt.wind(l.holdGust, units)}
+              </p>
+            </div>
+            <div className="text-right flex-shrink-0 ml-3">
+              <p className={`text-sm font-semibold ${holdText(l.now)}`}>{l.now ?? '—'}% now</p>
+              {l.peak > l.now && (
+                <p className={`text-xs ${holdText(l.peak)}`}>
+                  {l.peak}% at {hourLabel(l.peakAt)}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="flex gap-0.5 mt-1.5">
+            {l.hourly.map((h) => (
+              <div
+                key={h.time}
+                className={`flex-1 h-2 rounded-sm ${holdColor(h.probability)}`}
+                title={`${hourLabel(h.time)}: ${h.probability ?? '—'}% (gust ${fmt.wind(h.gust, units)})`}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  </Card>
+);
+
+// ---------------------------
+// Opening timeline: today's lift status, one bar per lift (backend: /api/lifts/changes)
+// ---------------------------
+const STATUS_BAR = { open: 'bg-emerald-500', hold: 'bg-amber-500', partial: 'bg-amber-500', closed: 'bg-rose-500/50' };
+const DAY_START_HOUR = 6;
+
+const OpeningTimeline = ({ lifts, events }) => {
+  const now = Date.now();
+  const dayStart = new Date();
+  dayStart.setHours(DAY_START_HOUR, 0, 0, 0);
+  const today = events.filter((e) => Date.parse(e.t) >= dayStart.getTime()).reverse(); // oldest first
+  const start = Math.min(dayStart.getTime(), ...today.map((e) => Date.parse(e.t)));
+  const span = Math.max(now - start, 1);
+
+  // Status before the first change today is that change's "from"; no changes means unchanged all day
+  const rows = lifts
+    .filter((l) => l.status !== 'unknown')
+    .map((l) => {
+      const mine = today.filter((e) => e.id === String(l.id));
+      const segments = [];
+      let status = mine[0]?.from ?? l.status;
+      let from = start;
+      for (const e of mine) {
+        segments.push({ status, from, to: Date.parse(e.t) });
+        status = e.to;
+        from = Date.parse(e.t);
+      }
+      segments.push({ status, from, to: now });
+      return { lift: l, segments };
+    });
+  if (rows.length === 0) return null;
+
+  return (
+    <Card className="p-4">
+      <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Today</h3>
+      <div className="space-y-2">
+        {rows.map(({ lift, segments }) => (
+          <div key={lift.id}>
+            <p className="text-xs text-slate-300 truncate">{lift.name}</p>
+            <div className="flex h-2 rounded-sm overflow-hidden bg-slate-700 mt-1">
+              {segments.map((seg, i) => (
+                <div
+                  key={i}
+                  className={STATUS_BAR[seg.status] || 'bg-slate-600'}
+                  style={{ width: `${((seg.to - seg.from) / span) * 100}%` }}
+                  title={`${seg.status} from ${fmtTime(new Date(seg.from).toISOString())}`}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-slate-500 mt-2">
+        <span>{new Date(start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>
+        <span>Now</span>
+      </div>
+      {today.length > 0 && (
+        <ol className="mt-3 pt-3 border-t border-slate-700 space-y-1.5">
+          {[...today].reverse().map((e, i) => (
+            <li key={i} className="flex gap-3 text-xs">
+              <span className="text-slate-500 w-16 flex-shrink-0">
+                {new Date(e.t).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              </span>
+              <span className="text-slate-300 truncate">{e.name}</span>
+              <span className={`ml-auto flex-shrink-0 ${statusColor(e.to)}`}>
+                {e.from} → {e.to}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </Card>
+  );
+};
+
 const Lifts = () => {
   const { settings, data } = useApp();
   const LIFTS = data?.LIFTS || [];
+  const LIFT_WIND = data?.LIFT_WIND;
+  const resortId = data?.resort?.id;
   const [view, setView] = useState('status');
   const [filter, setFilter] = useState('all');
+  const [changes, setChanges] = useState([]);
 
-  if (LIFTS.length === 0) return <NotAvailable message="Lift status not available" />;
+  // Refetch the change log whenever a new lift list arrives
+  useEffect(() => {
+    if (!resortId) return;
+    let cancelled = false;
+    fetch(`${API_BASE}/lifts/changes?resort=${encodeURIComponent(resortId)}&days=1`, { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => !cancelled && setChanges(json?.items || []))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [resortId, data?.LIFTS]);
+
+  if (LIFTS.length === 0)
+    return (
+      <div className="space-y-4">
+        <SourceNotAvailable source="LIFTS" message="Lift status not available" />
+        {LIFT_WIND && <LiftWindCard liftWind={LIFT_WIND} units={settings.units} />}
+      </div>
+    );
+  const holdRisk = Object.fromEntries((LIFT_WIND?.lifts || []).map((l) => [liftKey(l.name), l]));
 
   const open = LIFTS.filter((l) => l.status === 'open').length;
   const hold = LIFTS.filter((l) => l.status === 'hold').length;
+  const catalogOnly = LIFTS.every((l) => l.status === 'unknown');
   const list = filter === 'all' ? LIFTS : LIFTS.filter((l) => l.status === filter);
 
   if (view === 'lightboard')
@@ -868,6 +1873,16 @@ const Lifts = () => {
         </button>
       </div>
 
+      {catalogOnly && (
+        <p className="text-xs text-slate-500">
+          {sourceProblem(data?.sources?.LIFTS) || 'Live lift status not available.'} Showing the lift catalog.
+        </p>
+      )}
+
+      {!catalogOnly && <OpeningTimeline lifts={LIFTS} events={changes} />}
+
+      {LIFT_WIND && <LiftWindCard liftWind={LIFT_WIND} units={settings.units} />}
+
       <div className="flex gap-2 overflow-x-auto" style={{ scrollbarWidth: 'none' }}>
         {['all', 'open', 'hold', 'closed'].map((f) => (
           <button
@@ -890,13 +1905,22 @@ const Lifts = () => {
                 <h3 className="font-medium text-white">{l.name}</h3>
                 <p className="text-xs text-slate-500">{[l.area, l.type].filter(Boolean).join(' • ')}</p>
                 {l.notes && <p className="text-xs text-amber-400 mt-1">{l.notes}</p>}
+                <ManualMarker manual={l.manual} className="mt-1" />
+                {holdRisk[liftKey(l.name)]?.peak >= 40 && (
+                  <p className={`text-xs mt-1 ${holdText(holdRisk[liftKey(l.name)].peak)}`}>
+                    Wind hold risk {holdRisk[liftKey(l.name)].peak}% by {hourLabel(holdRisk[liftKey(l.name)].peakAt)}
+                  </p>
+                )}
               </div>
               <Badge status={l.status} />
             </div>
-            {l.vertical && (
-              <div className="flex gap-4 mt-3 text-xs text-slate-400">
-                <span>↕ {fmt.elev(l.vertical, settings.units)}</span>
-                {l.lastChange && <span>Updated {l.lastChange}</span>}
+            {(l.vertical || l.lastChange) && (
+              <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-xs text-slate-400">
+                {l.vertical && <span>↕ {fmt.elev(l.vertical, settings.units)}</span>}
+                {l.length && <span>⟷ {fmt.elev(l.length, settings.units)}</span>}
+                {l.rideMinutes && <span>{l.rideMinutes} min ride</span>}
+                {l.capacity && <span>{l.capacity.toLocaleString()}/hr</span>}
+                {l.lastChange && <span title={fmtTime(l.lastChange)}>Changed {ago(l.lastChange)}</span>}
               </div>
             )}
           </Card>
@@ -912,7 +1936,7 @@ const Runs = () => {
   const [filter, setFilter] = useState('all');
   const [groomed, setGroomed] = useState(false);
 
-  if (RUNS.length === 0) return <NotAvailable message="Run status not available" />;
+  if (RUNS.length === 0) return <SourceNotAvailable source="RUNS" message="Run status not available" />;
 
   const toggle = (id) =>
     setSettings((s) => ({
@@ -994,7 +2018,15 @@ const Runs = () => {
                     <h3 className="font-medium text-white truncate">{r.name}</h3>
                     {r.groomed && <span className="px-1.5 py-0.5 bg-cyan-500/20 text-cyan-400 text-xs rounded">G</span>}
                   </div>
-                  {r.zone && <p className="text-xs text-slate-500">{r.zone}</p>}
+                  {(r.zone || r.area) && (
+                    <p className="text-xs text-slate-500">
+                      {r.zone || r.area}
+                      {r.vertical && ` · ↕ ${fmt.elev(r.vertical, settings.units)}`}
+                      {r.lastChange && ` · changed ${ago(r.lastChange)}`}
+                    </p>
+                  )}
+                  {r.notes && <p className="text-xs text-amber-400">{r.notes}</p>}
+                  <ManualMarker manual={r.manual} />
                 </div>
                 <Badge status={r.status} />
               </div>
@@ -1010,7 +2042,7 @@ const Runs = () => {
 const Snow = () => {
   const { settings, data } = useApp();
   const SNOW = data?.SNOW;
-  if (!SNOW) return <NotAvailable message="Snow report not available" />;
+  if (!SNOW) return <SourceNotAvailable source="FORECAST" message="Snow report not available" />;
 
   return (
     <div className="space-y-4">
@@ -1018,6 +2050,7 @@ const Snow = () => {
         <p className="text-sm text-cyan-400 uppercase">New Snow (24h)</p>
         <p className="text-6xl font-bold text-white mt-2">{fmt.snow(SNOW.new24h, settings.units)}</p>
         {SNOW.surface && <p className="text-slate-400 mt-2">{SNOW.surface}</p>}
+        <ManualMarker manual={SNOW.manual} className="mt-3" />
       </Card>
 
       <div className="grid grid-cols-2 gap-3">
@@ -1025,6 +2058,10 @@ const Snow = () => {
           <p className="text-xs text-slate-500">48hr</p>
           <p className="text-2xl font-bold text-white">{fmt.snow(SNOW.new48h, settings.units)}</p>
         </Card>
+        <Card className="p-4 text-center">
+          <p className="text-xs text-slate-500">72hr</p>
+          <p className="text-2xl font-bold text-white">{fmt.snow(SNOW.new72h, settings.units)}</p>
+        </Card>
         <Card className="p-4 text-center">
           <p className="text-xs text-slate-500">Base</p>
           <p className="text-2xl font-bold text-white">{fmt.snow(SNOW.base, settings.units)}</p>
@@ -1033,9 +2070,9 @@ const Snow = () => {
           <p className="text-xs text-slate-500">Season</p>
           <p className="text-2xl font-bold text-white">{fmt.snow(SNOW.season, settings.units)}</p>
         </Card>
-        <Card className="p-4 text-center">
+        <Card className="p-4 text-center col-span-2">
           <p className="text-xs text-slate-500">Updated</p>
-          <p className="text-lg font-bold text-white">{SNOW.updated || '—'}</p>
+          <p className="text-lg font-bold text-white">{SNOW.updated ? fmtTime(SNOW.updated) : '—'}</p>
         </Card>
       </div>
 
@@ -1047,7 +2084,7 @@ const Snow = () => {
 const Temps = () => {
   const { settings, data } = useApp();
   const WEATHER = data?.WEATHER || [];
-  if (WEATHER.length === 0) return <NotAvailable message="Temp data not available" />;
+  if (WEATHER.length === 0) return <SourceNotAvailable source="WEATHER" message="Temp data not available" />;
 
   return (
     <div className="space-y-4">
@@ -1086,7 +2123,7 @@ const WindPage = () => {
   const { settings, data } = useApp();
   const WEATHER = data?.WEATHER || [];
   const withWind = WEATHER.filter((w) => w.wind != null);
-  if (withWind.length === 0) return <NotAvailable message="Wind data not available" />;
+  if (withWind.length === 0) return <SourceNotAvailable source="WEATHER" message="Wind data not available" />;
 
   const primary = withWind[0];
   return (
@@ -1105,6 +2142,8 @@ const WindPage = () => {
         </div>
       </Card>
 
+      {data?.LIFT_WIND && <LiftWindCard liftWind={data.LIFT_WIND} units={settings.units} />}
+
       {withWind.length > 1 && (
         <Card className="p-4">
           <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">All Stations</h3>
@@ -1128,48 +2167,386 @@ const WindPage = () => {
   );
 };
 
-const Roads = () => {
-  const { data } = useApp();
+const PASS_FIELDS = {
+  status: 'Status',
+  restrictionEastbound: 'Eastbound',
+  restrictionWestbound: 'Westbound',
+  conditions: 'Road condition',
+};
+
+// The restriction fields hold WSDOT's first/second direction, which is Northbound/Southbound on some passes
+const passFieldLabel = (pass, field) =>
+  (field === 'restrictionEastbound' && pass.eastbound?.direction) ||
+  (field === 'restrictionWestbound' && pass.westbound?.direction) ||
+  PASS_FIELDS[field] ||
+  field;
+
+// Change events for one pass, newest first
+const PassTimeline = ({ pass, events }) => (
+  <ol className="mt-3 pt-3 border-t border-slate-700 space-y-3">
+    {events.map((e, i) => (
+      <li key={i} className="flex gap-3 text-sm">
+        <span className="text-xs text-slate-500 w-20 flex-shrink-0 pt-0.5">
+          {new Date(e.t).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+        </span>
+        <div className="min-w-0">
+          <p className="text-xs text-slate-400">{passFieldLabel(pass, e.field)}</p>
+          <p className="text-white">{e.to || 'None'}</p>
+          {e.from && <p className="text-xs text-slate-500 line-through">{e.from}</p>}
+        </div>
+      </li>
+    ))}
+  </ol>
+);
+
+// "SR 410 MP 58–82 · Both"
+const roadAlertWhere = (a) => {
+  let mp = '';
+  if (a.milepostFrom != null) {
+    mp = a.milepostTo !== a.milepostFrom ? ` MP ${a.milepostFrom}–${a.milepostTo}` : ` MP ${a.milepostFrom}`;
+  }
+  return [a.road && `${a.road}${mp}`, a.direction].filter(Boolean).join(' · ');
+};
+
+const RoadAlertCard = ({ alert: a }) => (
+  <Card className={`p-4 ${severityStyle(ROAD_ALERT_SEVERITY[a.priority])}`}>
+    <div className="flex items-start justify-between gap-3 mb-1">
+      <h3 className="font-medium text-white">{a.headline || a.category || 'Highway alert'}</h3>
+      <span className="text-xs font-semibold uppercase tracking-wide flex-shrink-0">{a.priority}</span>
+    </div>
+    <p className="text-xs text-slate-400">{roadAlertWhere(a)}</p>
+    {a.description && a.description !== a.headline && <p className="text-sm text-slate-300 mt-2">{a.description}</p>}
+    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-500 mt-2">
+      {a.start && <span>Since {fmtTime(a.start)}</span>}
+      <span>{a.end ? `Until ${fmtTime(a.end)}` : 'Until further notice'}</span>
+    </div>
+  </Card>
+);
+
+const Roads = ({ setPage }) => {
+  const { settings, setSettings, data } = useApp();
   const passes = data?.ROADS?.passes || [];
-  if (passes.length === 0) return <NotAvailable message="Road conditions not available" />;
-
-  const badgeFromPass = (p) => {
-    if (p.status === 'advisory') return 'hold';
-    const s = String(p.status || '').toLowerCase();
-    if (s.includes('open') || s.includes('bare') || s.includes('clear') || s.includes('dry')) return 'open';
-    if (s.includes('close')) return 'closed';
-    return 'hold';
-  };
+  const roadAlerts = data?.ROAD_ALERTS || [];
+  const resortId = data?.resort?.id;
+  const [changes, setChanges] = useState([]);
+  const [open, setOpen] = useState(null);
+
+  // Re-read the change log whenever a new ROADS snapshot arrives
+  useEffect(() => {
+    if (!resortId) return;
+    let cancelled = false;
+    fetch(`${API_BASE}/passes/changes?resort=${encodeURIComponent(resortId)}`, { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => !cancelled && setChanges(json?.items || []))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [resortId, data?.ROADS]);
+
+  if (passes.length === 0 && roadAlerts.length === 0) {
+    const source = sourceDown(data, 'ROADS') ? 'ROADS' : 'ROAD_ALERTS';
+    return <SourceNotAvailable source={source} message="Road conditions not available" />;
+  }
 
   return (
     <div className="space-y-4">
+      {(data?.DRIVE?.origins?.length ?? 0) > 0 && (
+        <button
+          onClick={() => setPage('drive')}
+          className="w-full flex items-center justify-between p-4 bg-cyan-500/20 border border-cyan-500/30 rounded-lg text-cyan-400"
+        >
+          <span className="flex items-center gap-2">
+            <Car className="w-5 h-5" />
+            Drive times
+          </span>
+          <ChevronRight className="w-5 h-5" />
+        </button>
+      )}
+
+      {roadAlerts.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-sm font-semibold text-slate-400 uppercase">Highway Alerts</h3>
+          {roadAlerts.map((a) => (
+            <RoadAlertCard key={a.id} alert={a} />
+          ))}
+        </div>
+      )}
+
       <Card className="p-4">
         <h2 className="text-lg font-semibold text-white">Mountain Passes</h2>
         <p className="text-sm text-slate-400">Via WSDOT</p>
+        <h3 className="text-xs font-semibold text-slate-500 uppercase mt-4 mb-2">Your vehicle</h3>
+        <div className="flex gap-2">
+          {VEHICLES.map((v) => (
+            <button
+              key={v.id}
+              onClick={() => setSettings((s) => ({ ...s, vehicle: v.id }))}
+              className={`flex-1 px-2 py-2 rounded-lg text-xs ${
+                settings.vehicle === v.id
+                  ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30'
+                  : 'bg-slate-800 text-slate-400'
+              }`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
       </Card>
 
-      {passes.map((p, i) => (
-        <Card key={p.id || i} className="p-4">
-          <div className="flex items-start justify-between mb-2">
-            <h3 className="font-medium text-white">{p.name}</h3>
-            <Badge status={badgeFromPass(p)} />
-          </div>
-          {p.restriction && <p className="text-sm text-amber-400 mb-2">{p.restriction}</p>}
-          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
-            {p.temp != null && <span>Temp: {p.temp}°F</span>}
-            {p.weather && <span>{p.weather}</span>}
-            {p.updated && <span>Updated: {new Date(p.updated).toLocaleString()}</span>}
-          </div>
-        </Card>
+      {passes.map((p, i) => {
+        const events = changes.filter((e) => e.passId === p.id);
+        const verdict = passVerdict(p, settings.vehicle);
+        return (
+          <Card key={p.id || i} className="p-4">
+            <div className="flex items-start justify-between mb-2">
+              <h3 className="font-medium text-white">{p.name}</h3>
+              {verdict && <Badge status={VERDICT_BADGE[verdict.verdict]} label={verdict.verdict} />}
+            </div>
+            {[
+              [p.eastbound, p.restrictionEastbound],
+              [p.westbound, p.restrictionWestbound],
+            ].map(
+              ([r, text], j) =>
+                r && (
+                  <div key={j} className="mb-2">
+                    <p className="text-sm">
+                      <span className="text-slate-400">{r.direction || (j === 0 ? 'Eastbound' : 'Westbound')}: </span>
+                      <span className={statusColor(VERDICT_BADGE[restrictionVerdict(r, settings.vehicle).verdict])}>
+                        {r.level === 'unknown' && !text ? 'No report' : RESTRICTION_LABELS[r.level]}
+                      </span>
+                    </p>
+                    {text && r.level !== 'none' && <p className="text-xs text-slate-500">{text}</p>}
+                  </div>
+                )
+            )}
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
+              {p.temp != null && <span>Temp: {p.temp}°F</span>}
+              {p.weather && <span>{p.weather}</span>}
+              {p.updated && <span>Updated: {new Date(p.updated).toLocaleString()}</span>}
+            </div>
+            {events.length > 0 && (
+              <button onClick={() => setOpen(open === p.id ? null : p.id)} className="text-xs text-cyan-400 mt-2">
+                {open === p.id ? 'Hide changes' : `Changes this week (${events.length}) →`}
+              </button>
+            )}
+            {open === p.id && events.length > 0 && <PassTimeline pass={p} events={events} />}
+          </Card>
+        );
+      })}
+    </div>
+  );
+};
+
+// 95 -> "1h 35m"
+const fmtMinutes = (m) =>
+  m == null ? '—' : m < 60 ? `${m}m` : `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`;
+
+// Whether `name` contains `phrase` as whole words: "Chinook Pass SR 410" mentions "SR-410" but not "SR 41"
+const words = (s) =>
+  String(s || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean);
+const mentions = (name, phrase) => {
+  const n = words(name);
+  const p = words(phrase);
+  return p.length > 0 && n.some((_, i) => p.every((w, j) => n[i + j] === w));
+};
+
+// Travel time from the chosen origin, plus the passes and highway alerts on its roads
+const Drive = () => {
+  const { settings, setSettings, data } = useApp();
+  const origins = data?.DRIVE?.origins || [];
+  if (origins.length === 0) return <SourceNotAvailable source="DRIVE" message="Drive times not available" />;
+
+  const origin = origins.find((o) => o.id === settings.origin) || origins[0];
+  const onRoute = (name) => origin.via.some((road) => mentions(name, road));
+  // `passes` lists the ones actually crossed; without it, any pass on a `via` road counts
+  const crossed = (name) => (origin.passes ? origin.passes.some((p) => mentions(name, p)) : onRoute(name));
+  const passes = (data?.ROADS?.passes || []).filter((p) => crossed(p.name));
+  const roadAlerts = (data?.ROAD_ALERTS || []).filter((a) => onRoute(a.road));
+  const delay = origin.current != null && origin.average != null ? origin.current - origin.average : null;
+
+  return (
+    <div className="space-y-4">
+      {origins.length > 1 && (
+        <div className="flex gap-2 overflow-x-auto" style={{ scrollbarWidth: 'none' }}>
+          {origins.map((o) => (
+            <button
+              key={o.id}
+              onClick={() => setSettings((s) => ({ ...s, origin: o.id }))}
+              className={`px-4 py-2 rounded-lg text-sm whitespace-nowrap ${
+                o.id === origin.id
+                  ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30'
+                  : 'bg-slate-800 text-slate-400'
+              }`}
+            >
+              From {o.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <Card className="p-6 text-center">
+        <p className="text-sm text-slate-400 uppercase">
+          {origin.name} → {data?.resort?.shortName}
+        </p>
+        <p className="text-5xl font-bold text-white mt-2">{fmtMinutes(origin.current)}</p>
+        {delay != null && (
+          <p
+            className={`text-sm mt-2 ${
+              delay > 10 ? 'text-rose-400' : delay > 0 ? 'text-amber-400' : 'text-emerald-400'
+            }`}
+          >
+            {delay > 0 ? `+${delay}m vs usual` : 'Normal traffic'} · usually {fmtMinutes(origin.average)}
+          </p>
+        )}
+        {!origin.complete && (
+          <p className="text-xs text-slate-500 mt-2">Some segments have no live data, so there is no estimate.</p>
+        )}
+      </Card>
+
+      <Card className="p-4">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Route</h3>
+        <div className="space-y-2 text-sm">
+          {origin.segments.map((seg, i) => (
+            <div key={i} className="flex justify-between gap-3">
+              <span className="text-slate-300 truncate">{seg.name}</span>
+              <span className="text-white flex-shrink-0">
+                {fmtMinutes(seg.current)}
+                {seg.average != null && <span className="text-slate-500"> / {fmtMinutes(seg.average)}</span>}
+              </span>
+            </div>
+          ))}
+          {origin.baseMinutes > 0 && (
+            <div className="flex justify-between gap-3">
+              <span className="text-slate-300">Rest of the drive (typical)</span>
+              <span className="text-white">{fmtMinutes(origin.baseMinutes)}</span>
+            </div>
+          )}
+        </div>
+      </Card>
+
+      {roadAlerts.map((a) => (
+        <RoadAlertCard key={a.id} alert={a} />
       ))}
+
+      {passes.length > 0 && (
+        <Card className="p-4">
+          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Passes on the way</h3>
+          <PassVerdicts passes={passes} vehicle={settings.vehicle} />
+        </Card>
+      )}
+    </div>
+  );
+};
+
+// ---------------------------
+// Avalanche graphics
+// ---------------------------
+const DANGER_HEX = { 1: '#10b981', 2: '#eab308', 3: '#f59e0b', 4: '#f43f5e', 5: '#be123c' };
+const DANGER_NAMES = { 1: 'Low', 2: 'Moderate', 3: 'Considerable', 4: 'High', 5: 'Extreme' };
+const AVAL_BANDS = [
+  { id: 'above', label: 'Above Treeline' },
+  { id: 'near', label: 'Near Treeline' },
+  { id: 'below', label: 'Below Treeline' },
+];
+const AVAL_ASPECTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Danger per elevation band, drawn as a mountain cut into three slices
+const DangerPyramid = ({ elevations, size = 'lg' }) => {
+  const w = 120;
+  const h = 96;
+  const xAt = (y) => (w / 2) * (y / h); // half-width of the triangle at depth y
+
+  return (
+    <div className="flex items-center gap-4">
+      <svg viewBox={`0 0 ${w} ${h}`} className={size === 'lg' ? 'w-32 h-24 flex-shrink-0' : 'w-20 h-16 flex-shrink-0'}>
+        {AVAL_BANDS.map((b, i) => {
+          const y0 = (h / 3) * i;
+          const y1 = (h / 3) * (i + 1);
+          const points = [
+            [w / 2 - xAt(y0), y0],
+            [w / 2 + xAt(y0), y0],
+            [w / 2 + xAt(y1), y1],
+            [w / 2 - xAt(y1), y1],
+          ];
+          return (
+            <polygon
+              key={b.id}
+              points={points.map((p) => p.join(',')).join(' ')}
+              fill={DANGER_HEX[elevations?.[b.id]] || '#475569'}
+              stroke="#0f172a"
+              strokeWidth="2"
+            />
+          );
+        })}
+      </svg>
+      <div className="space-y-1.5 text-sm">
+        {AVAL_BANDS.map((b) => (
+          <div key={b.id} className="flex items-center gap-2">
+            <span className="text-slate-400 w-28">{b.label}</span>
+            <span className="font-medium text-white">
+              {elevations?.[b.id] ? `${elevations[b.id]} · ${DANGER_NAMES[elevations[b.id]]}` : 'No rating'}
+            </span>
+          </div>
+        ))}
+      </div>
     </div>
   );
 };
 
+// Aspect/elevation rose: 8 aspects around, above treeline in the middle ring, below treeline outside
+const DangerRose = ({ locations, color = '#f59e0b' }) => {
+  const c = 60;
+  const ring = 16;
+  const hit = new Set((locations || []).map((l) => `${l.aspect}:${l.band}`));
+  const xy = (r, deg) => {
+    const rad = ((deg - 90) * Math.PI) / 180;
+    return [c + r * Math.cos(rad), c + r * Math.sin(rad)];
+  };
+  const pt = (r, deg) =>
+    xy(r, deg)
+      .map((v) => v.toFixed(2))
+      .join(',');
+  const sector = (r0, r1, a0, a1) =>
+    `M${pt(r0, a0)} L${pt(r1, a0)} A${r1},${r1} 0 0 1 ${pt(r1, a1)} L${pt(r0, a1)} A${r0},${r0} 0 0 0 ${pt(r0, a0)} Z`;
+
+  return (
+    <svg viewBox="0 0 120 120" className="w-32 h-32 flex-shrink-0">
+      {AVAL_BANDS.map((b, i) =>
+        AVAL_ASPECTS.map((a, j) => (
+          <path
+            key={`${a}:${b.id}`}
+            d={sector(i * ring + (i === 0 ? 0.01 : 0), (i + 1) * ring, j * 45 - 22.5, j * 45 + 22.5)}
+            fill={hit.has(`${a}:${b.id}`) ? color : '#334155'}
+            stroke="#0f172a"
+            strokeWidth="1"
+          />
+        ))
+      )}
+      {['N', 'E', 'S', 'W'].map((a, j) => (
+        <text
+          key={a}
+          x={xy(3 * ring + 7, j * 90)[0]}
+          y={xy(3 * ring + 7, j * 90)[1]}
+          fill="#94a3b8"
+          fontSize="9"
+          textAnchor="middle"
+          dominantBaseline="central"
+        >
+          {a}
+        </text>
+      ))}
+    </svg>
+  );
+};
+
 const Backcountry = () => {
   const { data } = useApp();
   const AVAL = data?.AVAL;
-  if (!AVAL) return <NotAvailable message="Avalanche data not available" />;
+  if (!AVAL) return <SourceNotAvailable source="AVAL" message="Avalanche data not available" />;
 
   const colors = { 1: 'bg-emerald-500', 2: 'bg-yellow-500', 3: 'bg-amber-500', 4: 'bg-rose-500', 5: 'bg-rose-700' };
 
@@ -1183,28 +2560,59 @@ const Backcountry = () => {
           </div>
           <p className="text-3xl font-bold text-white">{AVAL.danger || 'Unknown'}</p>
         </div>
+        {AVAL.published && <p className="text-xs text-slate-500 mt-4">Issued {ago(AVAL.published)}</p>}
       </Card>
 
-      {AVAL.problems?.length > 0 && (
+      {AVAL.elevations && (
         <Card className="p-4">
-          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Problems</h3>
-          <div className="flex flex-wrap gap-2">
-            {AVAL.problems.map((p, i) => (
-              <span key={i} className="px-3 py-1.5 bg-amber-500/20 text-amber-400 rounded-lg text-sm">
-                {p}
-              </span>
-            ))}
-          </div>
+          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Today by Elevation</h3>
+          <DangerPyramid elevations={AVAL.elevations} />
+        </Card>
+      )}
+
+      {AVAL.outlook && (
+        <Card className="p-4">
+          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Tomorrow Outlook</h3>
+          <DangerPyramid elevations={AVAL.outlook.elevations} size="sm" />
         </Card>
       )}
 
       {AVAL.summary && (
         <Card className="p-4">
           <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Summary</h3>
-          <p className="text-slate-300">{AVAL.summary}</p>
+          <p className="text-slate-300 whitespace-pre-line">{AVAL.summary}</p>
         </Card>
       )}
 
+      {AVAL.problems?.map((p, i) => (
+        <Card key={i} className="p-4">
+          <h3 className="font-medium text-white mb-3">
+            <span className="text-slate-500 mr-2">#{i + 1}</span>
+            {p.name}
+          </h3>
+          <div className="flex items-center gap-4">
+            <DangerRose locations={p.locations} color={DANGER_HEX[AVAL.level] || '#f59e0b'} />
+            <div className="space-y-2 text-sm">
+              <div>
+                <p className="text-xs text-slate-400">Likelihood</p>
+                <p className="text-white capitalize">{p.likelihood || '—'}</p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-400">Size</p>
+                <p className="text-white">
+                  {p.size ? (p.size.min === p.size.max ? `D${p.size.min}` : `D${p.size.min}–D${p.size.max}`) : '—'}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-400">Aspects</p>
+                <p className="text-white">{p.aspects?.length ? p.aspects.join(' ') : '—'}</p>
+              </div>
+            </div>
+          </div>
+          {p.discussion && <p className="text-sm text-slate-300 whitespace-pre-line mt-3">{p.discussion}</p>}
+        </Card>
+      ))}
+
       {AVAL.link && (
         <a
           href={AVAL.link}
@@ -1220,66 +2628,101 @@ const Backcountry = () => {
   );
 };
 
-const InfoPage = () => (
-  <Card className="p-4">
-    <h2 className="text-lg font-semibold text-white mb-4">Mountain Info</h2>
-    <div className="space-y-4">
-      <div>
-        <h3 className="text-sm font-semibold text-slate-400 mb-2">Hours</h3>
-        <p className="text-white">9 AM - 4 PM (typical)</p>
-      </div>
+const InfoPage = () => {
+  const { data } = useApp();
+  const resort = data?.resort;
+  if (!resort) return <NotAvailable message="Resort info not available" />;
 
-      <div className="border-t border-slate-700 pt-4">
-        <h3 className="text-sm font-semibold text-slate-400 mb-2">Links</h3>
-        {[
-          { l: 'Crystal Mountain', u: 'https://www.crystalmountainresort.com' },
-          { l: 'NWAC', u: 'https://nwac.us' },
-          { l: 'WSDOT Passes', u: 'https://wsdot.com/travel/real-time/mountainpasses' },
-        ].map((x) => (
-          <a
-            key={x.l}
-            href={x.u}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg text-slate-300 hover:text-white mt-2"
-          >
-            <span>{x.l}</span>
-            <ExternalLink className="w-4 h-4" />
-          </a>
-        ))}
-      </div>
+  return (
+    <Card className="p-4">
+      <h2 className="text-lg font-semibold text-white mb-4">Mountain Info</h2>
+      <div className="space-y-4">
+        {resort.hours && (
+          <div>
+            <h3 className="text-sm font-semibold text-slate-400 mb-2">Hours</h3>
+            <p className="text-white">{resort.hours}</p>
+          </div>
+        )}
 
-      <div className="border-t border-slate-700 pt-4">
-        <h3 className="text-sm font-semibold text-slate-400 mb-2">Contact</h3>
-        <p className="text-slate-300">(360) 663-2265</p>
-      </div>
-    </div>
-  </Card>
-);
+        {resort.links?.length > 0 && (
+          <div className="border-t border-slate-700 pt-4">
+            <h3 className="text-sm font-semibold text-slate-400 mb-2">Links</h3>
+            {resort.links.map((x) => (
+              <a
+                key={x.label}
+                href={x.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg text-slate-300 hover:text-white mt-2"
+              >
+                <span>{x.label}</span>
+                <ExternalLink className="w-4 h-4" />
+              </a>
+            ))}
+          </div>
+        )}
 
-const About = () => (
-  <div className="space-y-4">
-    <Card className="p-6 text-center">
-      <div className="w-16 h-16 bg-gradient-to-br from-cyan-400 to-blue-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
-        <Mountain className="w-10 h-10 text-white" />
+        {resort.phone && (
+          <div className="border-t border-slate-700 pt-4">
+            <h3 className="text-sm font-semibold text-slate-400 mb-2">Contact</h3>
+            <p className="text-slate-300">{resort.phone}</p>
+          </div>
+        )}
       </div>
-      <h1 className="text-2xl font-bold text-white">Crystal Peak</h1>
-      <p className="text-slate-400 mt-2">Live ski conditions</p>
     </Card>
+  );
+};
 
-    <Card className="p-4">
-      <div className="flex items-start gap-3 p-3 bg-amber-500/10 rounded-lg border border-amber-500/20 mb-4">
-        <AlertTriangle className="w-5 h-5 text-amber-400" />
-        <div>
-          <p className="text-sm text-amber-400 font-medium">Not Affiliated</p>
-          <p className="text-xs text-slate-400">Independent project</p>
+const About = () => {
+  const { data } = useApp();
+  const sources = Object.entries(data?.sources || {});
+  const dot = { ok: 'bg-emerald-400', error: 'bg-rose-400', unconfigured: 'bg-slate-500', pending: 'bg-amber-400' };
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-6 text-center">
+        <div className="w-16 h-16 bg-gradient-to-br from-cyan-400 to-blue-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Mountain className="w-10 h-10 text-white" />
         </div>
-      </div>
-      <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Sources</h3>
-      <p className="text-sm text-slate-300">NWS • WSDOT • NWAC • Open-Meteo</p>
-    </Card>
-  </div>
-);
+        <h1 className="text-2xl font-bold text-white">Crystal Peak</h1>
+        <p className="text-slate-400 mt-2">Live ski conditions</p>
+      </Card>
+
+      <Card className="p-4">
+        <div className="flex items-start gap-3 p-3 bg-amber-500/10 rounded-lg border border-amber-500/20 mb-4">
+          <AlertTriangle className="w-5 h-5 text-amber-400" />
+          <div>
+            <p className="text-sm text-amber-400 font-medium">Not Affiliated</p>
+            <p className="text-xs text-slate-400">Independent project</p>
+          </div>
+        </div>
+        <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Sources</h3>
+        {sources.length === 0 ? (
+          <p className="text-sm text-slate-300">NWS • WSDOT • NWAC • Open-Meteo</p>
+        ) : (
+          <div className="space-y-2">
+            {sources.map(([key, s]) => (
+              <div key={key} className="flex items-start gap-2">
+                <span className={`w-2 h-2 mt-1.5 rounded-full flex-shrink-0 ${dot[s.status] || 'bg-slate-500'}`} />
+                <div className="min-w-0">
+                  <p className="text-sm text-slate-300">
+                    {s.provider} <span className="text-xs text-slate-500">{s.status}</span>
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {sourceProblem(s) ||
+                      [s.lastSuccess && `Updated ${ago(s.lastSuccess)}`, s.latencyMs != null && `${s.latencyMs} ms`]
+                        .filter(Boolean)
+                        .join(' • ')}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
 
 const Support = () => (
   <div className="space-y-4">
@@ -1313,23 +2756,437 @@ const Privacy = () => (
   </Card>
 );
 
+// ---------------------------
+// Admin console (/#admin): morning snow report, lift/run overrides, Home announcements, hidden cams.
+// Signs in with the server's ADMIN_TOKEN; the token and name are kept for this tab only.
+// ---------------------------
+const ADMIN_STATUSES = ['open', 'hold', 'partial', 'closed'];
+const SNOW_REPORT_INPUTS = [
+  ['new24h', 'New snow 24h (in)'],
+  ['base', 'Base depth (in)'],
+  ['season', 'Season total (in)'],
+];
+const inputClass = 'w-full px-3 py-2 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white';
+
+const readAdminAuth = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem('cpAdmin')) || null;
+  } catch {
+    return null;
+  }
+};
+
+const AdminLogin = ({ onLogin }) => {
+  const [name, setName] = useState('');
+  const [token, setToken] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`${API_BASE}/admin/overrides`, { headers: { Authorization: `Bearer ${token}` } });
+      if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `API ${res.status}`);
+      onLogin({ name: name.trim(), token });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card className="p-4">
+      <form onSubmit={submit} className="space-y-3">
+        <div className="flex items-center gap-2 text-slate-300">
+          <Lock className="w-4 h-4 text-cyan-400" />
+          <span className="text-sm">Resort staff only</span>
+        </div>
+        <input
+          className={inputClass}
+          placeholder="Your name (for the audit log)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          className={inputClass}
+          type="password"
+          placeholder="Admin token"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+        />
+        {error && <p className="text-xs text-rose-400">{error}</p>}
+        <button
+          type="submit"
+          disabled={!token}
+          className="w-full py-2 bg-cyan-500/20 text-cyan-400 rounded-lg text-sm font-medium"
+        >
+          Sign in
+        </button>
+      </form>
+    </Card>
+  );
+};
+
+const AUDIT_LABELS = {
+  'snow.set': 'Snow report posted',
+  'snow.clear': 'Snow report cleared',
+  'lifts.set': 'Lift overridden',
+  'lifts.clear': 'Lift override cleared',
+  'runs.set': 'Run overridden',
+  'runs.clear': 'Run override cleared',
+  'announcement.add': 'Announcement pinned',
+  'announcement.remove': 'Announcement removed',
+  'cam.hide': 'Camera hidden',
+  'cam.show': 'Camera shown',
+};
+
+// Announcement ids mean nothing to a reader; cams are named by what they were called when hidden
+const auditTarget = (e) => (e.action.startsWith('announcement') ? null : e.after?.name || e.before?.name || e.target);
+
+const AdminPage = () => {
+  const { data, refresh } = useApp();
+  const resortId = data?.resort?.id;
+  const [auth, setAuth] = useState(readAdminAuth);
+  const [overrides, setOverrides] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [error, setError] = useState(null);
+  const [snowForm, setSnowForm] = useState({});
+  const [kind, setKind] = useState('lifts');
+  const [announcement, setAnnouncement] = useState({ text: '', level: 'info', until: '' });
+
+  const api = useCallback(
+    async (path, options = {}) => {
+      const sep = path.includes('?') ? '&' : '?';
+      const res = await fetch(`${API_BASE}/admin/${path}${sep}resort=${encodeURIComponent(resortId)}`, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${auth.token}`,
+          'X-Admin-Name': auth.name || '',
+          'Content-Type': 'application/json',
+        },
+        body: options.body && JSON.stringify(options.body),
+      });
+      if (res.status === 401) {
+        sessionStorage.removeItem('cpAdmin');
+        setAuth(null);
+      }
+      if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `API ${res.status}`);
+      return res.status === 204 ? null : res.json();
+    },
+    [auth, resortId]
+  );
+
+  const load = useCallback(async () => {
+    try {
+      const [o, a] = await Promise.all([api('overrides'), api('audit?limit=20')]);
+      setOverrides(o);
+      setAudit(a);
+      setSnowForm(o.snow || {});
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (auth && resortId) load();
+  }, [auth, resortId, load]);
+
+  // Every change reloads the overrides and audit log, and the app state so the markers show up
+  const change = async (path, options) => {
+    setError(null);
+    try {
+      await api(path, options);
+      await load();
+      refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  if (!auth) {
+    return (
+      <AdminLogin
+        onLogin={(a) => {
+          sessionStorage.setItem('cpAdmin', JSON.stringify(a));
+          setAuth(a);
+        }}
+      />
+    );
+  }
+  if (!overrides) return error ? <NotAvailable message={error} /> : <NotAvailable message="Loading..." />;
+
+  const items = data?.[kind.toUpperCase()] || [];
+  const hidden = Object.entries(overrides.hiddenCams);
+  const snowBody = {
+    ...Object.fromEntries(
+      SNOW_REPORT_INPUTS.map(([f]) => [f, snowForm[f] === '' || snowForm[f] == null ? null : Number(snowForm[f])])
+    ),
+    surface: snowForm.surface || null,
+    report: snowForm.report || null,
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-xs text-slate-400">
+        <span>
+          {data?.resort?.name}
+          {auth.name && ` · signed in as ${auth.name}`}
+        </span>
+        <button
+          onClick={() => {
+            sessionStorage.removeItem('cpAdmin');
+            setAuth(null);
+          }}
+          className="text-cyan-400"
+        >
+          Sign out
+        </button>
+      </div>
+      {error && <ErrorBanner message={error} />}
+
+      <Card className="p-4 space-y-3">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase">Snow report</h3>
+        <div className="grid grid-cols-3 gap-2">
+          {SNOW_REPORT_INPUTS.map(([f, label]) => (
+            <label key={f} className="text-xs text-slate-500">
+              {label}
+              <input
+                className={`${inputClass} mt-1`}
+                type="number"
+                min="0"
+                value={snowForm[f] ?? ''}
+                onChange={(e) => setSnowForm((s) => ({ ...s, [f]: e.target.value }))}
+              />
+            </label>
+          ))}
+        </div>
+        <input
+          className={inputClass}
+          placeholder="Surface (e.g. Packed powder)"
+          value={snowForm.surface || ''}
+          onChange={(e) => setSnowForm((s) => ({ ...s, surface: e.target.value }))}
+        />
+        <textarea
+          className={inputClass}
+          rows={3}
+          placeholder="Morning report"
+          value={snowForm.report || ''}
+          onChange={(e) => setSnowForm((s) => ({ ...s, report: e.target.value }))}
+        />
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => change('snow', { method: 'PUT', body: snowBody })}
+            className="px-4 py-2 bg-cyan-500/20 text-cyan-400 rounded-lg text-sm"
+          >
+            Post report
+          </button>
+          {overrides.snow && (
+            <button onClick={() => change('snow', { method: 'DELETE' })} className="px-4 py-2 text-sm text-slate-400">
+              Clear
+            </button>
+          )}
+          <ManualMarker manual={overrides.snow} className="ml-auto" />
+        </div>
+      </Card>
+
+      <Card className="p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-slate-400 uppercase">Status overrides</h3>
+          <div className="flex gap-1">
+            {['lifts', 'runs'].map((k) => (
+              <button
+                key={k}
+                onClick={() => setKind(k)}
+                className={`px-3 py-1 rounded-lg text-xs ${
+                  kind === k ? 'bg-cyan-500/20 text-cyan-400' : 'text-slate-400'
+                }`}
+              >
+                {k === 'lifts' ? 'Lifts' : 'Runs'}
+              </button>
+            ))}
+          </div>
+        </div>
+        {items.length === 0 && <p className="text-xs text-slate-500">No {kind} for this resort.</p>}
+        <div className="divide-y divide-slate-700/50">
+          {items.map((item) => {
+            const o = overrides[kind][item.id];
+            return (
+              <div key={item.id} className="flex items-center gap-3 py-2">
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-white truncate">{item.name}</p>
+                  <p className={`text-xs ${o ? 'text-violet-300' : 'text-slate-500'}`}>
+                    {o ? `Override${o.note ? `: ${o.note}` : ''}` : `Live: ${item.status}`}
+                  </p>
+                </div>
+                <select
+                  className="px-2 py-1 bg-slate-900 border border-slate-700 rounded-lg text-xs text-white"
+                  value={o?.status || ''}
+                  onChange={(e) => {
+                    const status = e.target.value;
+                    if (!status) return change(`${kind}/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+                    const note = window.prompt(`Note for ${item.name} (optional)`, o?.note || '');
+                    if (note === null) return;
+                    return change(`${kind}/${encodeURIComponent(item.id)}`, { method: 'PUT', body: { status, note } });
+                  }}
+                >
+                  <option value="">Live</option>
+                  {ADMIN_STATUSES.map((s) => (
+                    <option key={s} value={s}>
+                      {s}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+      </Card>
+
+      <Card className="p-4 space-y-3">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase">Home announcements</h3>
+        <textarea
+          className={inputClass}
+          rows={2}
+          placeholder="Pinned to the top of Home"
+          value={announcement.text}
+          onChange={(e) => setAnnouncement((a) => ({ ...a, text: e.target.value }))}
+        />
+        <div className="flex items-center gap-2">
+          <select
+            className="px-2 py-2 bg-slate-900 border border-slate-700 rounded-lg text-xs text-white"
+            value={announcement.level}
+            onChange={(e) => setAnnouncement((a) => ({ ...a, level: e.target.value }))}
+          >
+            <option value="info">Info</option>
+            <option value="warning">Warning</option>
+          </select>
+          <input
+            className="flex-1 px-2 py-2 bg-slate-900 border border-slate-700 rounded-lg text-xs text-white"
+            type="datetime-local"
+            title="Unpin after (optional)"
+            value={announcement.until}
+            onChange={(e) => setAnnouncement((a) => ({ ...a, until: e.target.value }))}
+          />
+          <button
+            disabled={!announcement.text.trim()}
+            onClick={async () => {
+              const until = announcement.until ? new Date(announcement.until).toISOString() : null;
+              const ok = await change('announcements', { method: 'POST', body: { ...announcement, until } });
+              if (ok) setAnnouncement({ text: '', level: 'info', until: '' });
+            }}
+            className="px-4 py-2 bg-cyan-500/20 text-cyan-400 rounded-lg text-sm"
+          >
+            Pin
+          </button>
+        </div>
+        {overrides.announcements.map((a) => (
+          <div key={a.id} className="flex items-start gap-3 text-sm">
+            <Pin
+              className={`w-4 h-4 flex-shrink-0 mt-0.5 ${a.level === 'warning' ? 'text-amber-400' : 'text-cyan-400'}`}
+            />
+            <div className="min-w-0 flex-1">
+              <p className="text-slate-200 whitespace-pre-line">{a.text}</p>
+              <p className="text-xs text-slate-500">
+                {ago(a.at)}
+                {a.by && ` by ${a.by}`}
+                {a.until && ` · until ${fmtTime(a.until)}`}
+              </p>
+            </div>
+            <button
+              onClick={() => change(`announcements/${a.id}`, { method: 'DELETE' })}
+              className="text-xs text-rose-400"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </Card>
+
+      <Card className="p-4 space-y-3">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase">Cameras</h3>
+        {hidden.map(([id, h]) => (
+          <div key={id} className="flex items-center gap-3 text-sm">
+            <EyeOff className="w-4 h-4 text-slate-500 flex-shrink-0" />
+            <div className="min-w-0 flex-1">
+              <p className="text-slate-300 truncate">{h.name || id}</p>
+              <p className="text-xs text-slate-500">
+                Hidden {ago(h.at)}
+                {h.reason && ` · ${h.reason}`}
+              </p>
+            </div>
+            <button
+              onClick={() => change(`cams/${encodeURIComponent(id)}/hidden`, { method: 'DELETE' })}
+              className="text-xs text-cyan-400"
+            >
+              Show
+            </button>
+          </div>
+        ))}
+        <div className="divide-y divide-slate-700/50">
+          {(data?.CAMS || []).map((c) => (
+            <div key={c.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <span className="text-slate-300 truncate">{c.name}</span>
+              <button
+                onClick={() => {
+                  const reason = window.prompt(`Why hide ${c.name}? (optional)`, 'Broken image');
+                  if (reason === null) return;
+                  change(`cams/${encodeURIComponent(c.id)}/hidden`, { method: 'PUT', body: { name: c.name, reason } });
+                }}
+                className="text-xs text-rose-400 flex-shrink-0"
+              >
+                Hide
+              </button>
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      <Card className="p-4">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">Recent changes</h3>
+        {audit.length === 0 && <p className="text-xs text-slate-500">Nothing changed yet.</p>}
+        <ol className="space-y-1.5">
+          {audit.map((e, i) => (
+            <li key={i} className="flex gap-3 text-xs">
+              <span className="text-slate-500 w-20 flex-shrink-0">{ago(e.t)}</span>
+              <span className="text-slate-300 min-w-0 truncate">
+                {AUDIT_LABELS[e.action] || e.action}
+                {auditTarget(e) && ` · ${auditTarget(e)}`}
+              </span>
+              <span className="ml-auto text-slate-500 flex-shrink-0">{e.by || 'admin'}</span>
+            </li>
+          ))}
+        </ol>
+      </Card>
+    </div>
+  );
+};
+
 // ---------------------------
 // App Root
 // ---------------------------
 export default function App() {
-  const [page, setPage] = useState('home');
+  // The admin console isn't in the menu; staff open it at /#admin
+  const [page, setPage] = useState(() => (window.location.hash === '#admin' ? 'admin' : 'home'));
   const [menu, setMenu] = useState(false);
-  const [settings, setSettings] = useState(defaultSettings);
+  // Read cpSettings up front so the first fetch already targets the saved resort
+  const [settings, setSettings] = useState(() => {
+    try {
+      const s = localStorage.getItem('cpSettings');
+      if (s) return { ...defaultSettings, ...JSON.parse(s) };
+    } catch {}
+    return defaultSettings;
+  });
 
   const [data, setData] = useState(null);
   const [dataLoading, setDataLoading] = useState(true);
   const [dataErr, setDataErr] = useState(null);
+  const [resorts, setResorts] = useState([]);
 
   useEffect(() => {
-    try {
-      const s = localStorage.getItem('cpSettings');
-      if (s) setSettings((p) => ({ ...p, ...JSON.parse(s) }));
-    } catch {}
+    fetch(`${API_BASE}/resorts`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => setResorts(json?.resorts || []))
+      .catch(() => {});
   }, []);
   useEffect(() => {
     try {
@@ -1339,42 +3196,106 @@ export default function App() {
   useEffect(() => {
     setMenu(false);
   }, [page]);
+  useEffect(() => {
+    const onHash = () => window.location.hash === '#admin' && setPage('admin');
+    window.addEventListener('hashchange', onHash);
+    return () => window.removeEventListener('hashchange', onHash);
+  }, []);
+
+  // Ignore responses for a resort the user has since switched away from
+  const resortRef = useRef(settings.resort);
+  useEffect(() => {
+    if (resortRef.current === settings.resort) return;
+    resortRef.current = settings.resort;
+    setData(null);
+  }, [settings.resort]);
 
   const refresh = useCallback(async () => {
+    const resort = settings.resort;
+    const url = resort ? `${API_BASE}/resorts/${encodeURIComponent(resort)}/state` : `${API_BASE}/state`;
     setDataLoading(true);
     try {
-      const res = await fetch(`${API_BASE}/state`, { cache: 'no-store' });
+      const res = await fetch(url, { cache: 'no-store' });
       if (!res.ok) throw new Error(`API ${res.status}`);
-      setData(await res.json());
+      const json = await res.json();
+      if (resortRef.current !== resort) return;
+      setData(json);
       setDataErr(null);
     } catch (err) {
-      setDataErr(err.message);
+      if (resortRef.current === resort) setDataErr(err.message);
     } finally {
       setDataLoading(false);
     }
-  }, []);
+  }, [settings.resort]);
 
+  // Live updates over /api/stream: full state on connect, then per-section patches.
+  // If the stream drops we close it, poll instead, and try the stream again later.
+  const [live, setLive] = useState(false);
   useEffect(() => {
+    if (typeof EventSource === 'undefined') return;
+    const resort = settings.resort;
+    const url = `${API_BASE}/stream${resort ? `?resort=${encodeURIComponent(resort)}` : ''}`;
+    let es = null;
+    let retry = null;
+
+    const connect = () => {
+      es = new EventSource(url);
+      es.addEventListener('state', (e) => {
+        setData(JSON.parse(e.data));
+        setDataErr(null);
+        setDataLoading(false);
+        setLive(true);
+      });
+      es.addEventListener('patch', (e) => {
+        const patch = JSON.parse(e.data);
+        setData((d) => (d ? { ...d, ...patch } : d));
+      });
+      es.onerror = () => {
+        es.close();
+        setLive(false);
+        retry = setTimeout(connect, STREAM_RETRY_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      es?.close();
+      clearTimeout(retry);
+      setLive(false);
+    };
+  }, [settings.resort]);
+
+  useEffect(() => {
+    if (live) return;
     refresh();
-    const i = setInterval(refresh, 120000);
+    const i = setInterval(refresh, POLL_MS);
     return () => clearInterval(i);
-  }, [refresh]);
+  }, [refresh, live]);
 
   useEffect(() => {
     if (!data) return;
 
-    const avail = new Set(['home', 'info', 'about', 'support', 'privacy']);
+    const avail = new Set(['home', 'info', 'about', 'support', 'privacy', 'admin']);
     if ((data.CAMS?.length ?? 0) > 0) avail.add('cams');
-    if ((data.FORECAST?.daily?.length ?? 0) > 0) avail.add('forecast');
-    if ((data.WEATHER?.length ?? 0) > 0) {
+    if ((data.FORECAST?.daily?.length ?? 0) > 0 || sourceDown(data, 'FORECAST')) avail.add('forecast');
+    if ((data.WEATHER?.length ?? 0) > 0 || sourceDown(data, 'WEATHER')) {
       avail.add('temps');
-      if (data.WEATHER.some((w) => w.wind != null)) avail.add('wind');
+      if (sourceDown(data, 'WEATHER') || data.WEATHER.some((w) => w.wind != null)) avail.add('wind');
     }
     if (data.SNOW) avail.add('snow');
-    if ((data.LIFTS?.length ?? 0) > 0) avail.add('lifts');
-    if ((data.RUNS?.length ?? 0) > 0) avail.add('runs');
-    if (data.AVAL) avail.add('backcountry');
-    if ((data.ROADS?.passes?.length ?? 0) > 0) avail.add('roads');
+    if ((data.LIFTS?.length ?? 0) > 0 || sourceDown(data, 'LIFTS')) avail.add('lifts');
+    if ((data.RUNS?.length ?? 0) > 0 || sourceDown(data, 'RUNS')) avail.add('runs');
+    if (data.AVAL || sourceDown(data, 'AVAL')) avail.add('backcountry');
+    if (
+      (data.ROADS?.passes?.length ?? 0) > 0 ||
+      (data.ROAD_ALERTS?.length ?? 0) > 0 ||
+      sourceDown(data, 'ROADS') ||
+      sourceDown(data, 'ROAD_ALERTS')
+    ) {
+      avail.add('roads');
+    }
+    if ((data.ALERTS?.length ?? 0) > 0 || sourceDown(data, 'ALERTS')) avail.add('alerts');
+    if ((data.DRIVE?.origins?.length ?? 0) > 0 || sourceDown(data, 'DRIVE')) avail.add('drive');
 
     if (!avail.has(page)) setPage('home');
   }, [data, page]);
@@ -1389,11 +3310,14 @@ export default function App() {
     temps: 'Temps',
     wind: 'Wind',
     roads: 'Roads',
+    drive: 'Drive',
     backcountry: 'Backcountry',
+    alerts: 'Weather Alerts',
     info: 'Info',
     about: 'About',
     support: 'Support',
     privacy: 'Privacy',
+    admin: 'Admin',
   };
 
   const render = () => {
@@ -1415,9 +3339,13 @@ export default function App() {
       case 'wind':
         return <WindPage />;
       case 'roads':
-        return <Roads />;
+        return <Roads setPage={setPage} />;
+      case 'drive':
+        return <Drive />;
       case 'backcountry':
         return <Backcountry />;
+      case 'alerts':
+        return <AlertsPage />;
       case 'info':
         return <InfoPage />;
       case 'about':
@@ -1426,13 +3354,15 @@ export default function App() {
         return <Support />;
       case 'privacy':
         return <Privacy />;
+      case 'admin':
+        return <AdminPage />;
       default:
         return <Home setPage={setPage} />;
     }
   };
 
   return (
-    <AppContext.Provider value={{ settings, setSettings, data, dataLoading, dataErr, refresh }}>
+    <AppContext.Provider value={{ settings, setSettings, data, dataLoading, dataErr, refresh, resorts }}>
       <div className="min-h-screen bg-gradient-to-b from-slate-900 via-slate-900 to-slate-950 text-white">
         <div
           className="fixed inset-0 opacity-30 pointer-events-none"
@@ -1444,11 +3374,14 @@ export default function App() {
         <Nav page={page} setPage={setPage} menu={menu} setMenu={setMenu} />
         <main className="relative pt-28 pb-8 px-4 max-w-lg mx-auto">
           {dataErr && <ErrorBanner message={dataErr} onRetry={refresh} />}
+          {PAGE_SOURCES[page] && <SourceNotice keys={PAGE_SOURCES[page]} />}
           {page !== 'home' && <h1 className="text-xl font-bold text-white mb-4">{titles[page]}</h1>}
           {render()}
         </main>
         <footer className="relative border-t border-slate-800 py-6 px-4 text-center">
-          <p className="text-xs text-slate-500">Crystal Peak • Not affiliated with Crystal Mountain</p>
+          <p className="text-xs text-slate-500">
+            Crystal Peak • Not affiliated with {data?.resort?.name || 'Crystal Mountain'}
+          </p>
           {data?.generatedAt && <p className="text-xs text-slate-600 mt-1">Data: {new Date(data.generatedAt).toLocaleTimeString()}</p>}
         </footer>
       </div>
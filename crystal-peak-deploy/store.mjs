@@ -0,0 +1,47 @@
+// Small helpers for the JSON files kept under DATA_DIR.
+import path from 'node:path';
+import fs from 'node:fs';
+
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind.
+export async function writeJsonFile(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+export async function appendJsonLine(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${JSON.stringify(value)}\n`);
+}
+
+// Newest `limit` entries of a JSONL file, oldest first. Torn lines are skipped.
+export async function readJsonLines(file, limit = Infinity) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const rows = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      // torn line from an interrupted write
+    }
+  }
+  return Number.isFinite(limit) ? rows.slice(-limit) : rows;
+}
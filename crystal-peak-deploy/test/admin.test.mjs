@@ -0,0 +1,182 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  requireToken,
+  loadAdmin,
+  getOverrides,
+  readAudit,
+  validateSnowReport,
+  validateStatusOverride,
+  validateAnnouncement,
+  validateHiddenCam,
+  setSnowReport,
+  clearSnowReport,
+  setStatusOverride,
+  addAnnouncement,
+  withSnowReport,
+  withStatusOverrides,
+  activeAnnouncements,
+} from '../admin.mjs';
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'admin-'));
+  await loadAdmin({ dir });
+});
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+const who = { by: 'Pat', ip: '10.0.0.1' };
+
+// Runs the middleware on a request with the given Authorization header -> [status, body] or 'next'
+function authorize(token, header) {
+  let result = null;
+  const req = { get: (name) => (name === 'Authorization' ? header : undefined) };
+  const res = {
+    status(code) {
+      return { json: (body) => (result = [code, body]) };
+    },
+  };
+  requireToken(token)(req, res, () => (result = 'next'));
+  return result;
+}
+
+test('requireToken lets only the exact bearer token through', () => {
+  assert.equal(authorize('s3cret', 'Bearer s3cret'), 'next');
+  assert.deepEqual(authorize('s3cret', 'Bearer s3creT'), [401, { error: 'Unauthorized' }]);
+  assert.deepEqual(authorize('s3cret', 'Bearer s3cret2'), [401, { error: 'Unauthorized' }]);
+  assert.deepEqual(authorize('s3cret', 's3cret'), [401, { error: 'Unauthorized' }]);
+  assert.deepEqual(authorize('s3cret', undefined), [401, { error: 'Unauthorized' }]);
+  assert.deepEqual(authorize('', 'Bearer '), [403, { error: 'ADMIN_TOKEN is not set on the server' }]);
+});
+
+test('validateSnowReport', () => {
+  assert.equal(validateSnowReport({ new24h: 12, base: 80 }), null);
+  assert.equal(validateSnowReport({ surface: 'Packed powder' }), null);
+  assert.match(validateSnowReport(null), /object/);
+  assert.match(validateSnowReport({}), /at least one field/);
+  assert.match(validateSnowReport({ new24h: -1 }), /new24h must be 0-100/);
+  assert.match(validateSnowReport({ base: '80' }), /base/);
+  assert.match(validateSnowReport({ season: 2001 }), /season/);
+  assert.match(validateSnowReport({ surface: 'x'.repeat(101) }), /surface/);
+  assert.match(validateSnowReport({ report: 5 }), /report/);
+});
+
+test('validateStatusOverride', () => {
+  assert.equal(validateStatusOverride({ status: 'hold', note: 'Wind' }), null);
+  assert.match(validateStatusOverride({ status: 'running' }), /status must be one of/);
+  assert.match(validateStatusOverride(null), /status/);
+  assert.match(validateStatusOverride({ status: 'open', note: 'x'.repeat(201) }), /note/);
+});
+
+test('validateAnnouncement', () => {
+  assert.equal(validateAnnouncement({ text: 'Gondola opens at 10' }), null);
+  assert.equal(validateAnnouncement({ text: 'Road closed', level: 'warning', until: '2026-01-15T00:00:00Z' }), null);
+  assert.match(validateAnnouncement({ text: '  ' }), /text/);
+  assert.match(validateAnnouncement({ text: 'x'.repeat(501) }), /text/);
+  assert.match(validateAnnouncement({ text: 'Hi', level: 'urgent' }), /level/);
+  assert.match(validateAnnouncement({ text: 'Hi', until: 'tomorrow' }), /until/);
+});
+
+test('validateHiddenCam', () => {
+  assert.equal(validateHiddenCam(undefined), null);
+  assert.equal(validateHiddenCam({ name: 'Summit', reason: 'Lens iced over' }), null);
+  assert.match(validateHiddenCam({ name: 7 }), /name/);
+  assert.match(validateHiddenCam({ reason: 'x'.repeat(201) }), /reason/);
+});
+
+test('withSnowReport lays the reported fields over the forecast numbers', () => {
+  const forecast = { new24h: 3, new48h: 5, new72h: 8, base: null, season: null, updated: 'earlier' };
+  const report = { new24h: 10, base: 90, season: null, surface: 'Powder', report: null, at: 'now', by: 'Pat' };
+  assert.deepEqual(withSnowReport(forecast, report), {
+    new24h: 10,
+    new48h: 5,
+    new72h: 8,
+    base: 90,
+    season: null,
+    surface: 'Powder',
+    updated: 'now',
+    manual: { at: 'now', by: 'Pat', fields: ['new24h', 'base', 'surface'] },
+  });
+  assert.equal(withSnowReport(forecast, null), forecast);
+  assert.equal(withSnowReport(null, { base: 40, at: 'now', by: null }).new24h, null, 'no forecast to fill in');
+});
+
+test('withStatusOverrides replaces the status of overridden items only', () => {
+  const lifts = [
+    { id: 'gondola', status: 'open', notes: null, updated: 'live' },
+    { id: 'chair6', status: 'closed', notes: 'Grooming', updated: 'live' },
+  ];
+  const [gondola, chair6] = withStatusOverrides(lifts, {
+    gondola: { status: 'hold', note: 'Wind', at: 'now', by: 'Pat' },
+  });
+  assert.deepEqual(gondola, {
+    id: 'gondola',
+    status: 'hold',
+    notes: 'Wind',
+    updated: 'now',
+    manual: { at: 'now', by: 'Pat' },
+  });
+  assert.equal(chair6, lifts[1]);
+  assert.equal(
+    withStatusOverrides(lifts, { chair6: { status: 'open', note: null, at: 'now', by: null } })[1].notes,
+    'Grooming'
+  );
+});
+
+test('activeAnnouncements drops the ones past their until', () => {
+  const now = Date.parse('2026-01-14T12:00:00Z');
+  const list = [
+    { id: 1, until: null },
+    { id: 2, until: '2026-01-14T13:00:00Z' },
+    { id: 3, until: '2026-01-14T12:00:00Z' },
+  ];
+  assert.deepEqual(
+    activeAnnouncements(list, now).map((a) => a.id),
+    [1, 2]
+  );
+});
+
+test('changes are saved and audited', async () => {
+  const report = await setSnowReport('crystal', who, { new24h: 6, surface: ' Powder ' });
+  assert.equal(report.surface, 'Powder');
+  assert.equal(report.by, 'Pat');
+  await setStatusOverride('crystal', who, 'lifts', 'gondola', { status: 'hold' });
+  await addAnnouncement('crystal', who, { text: 'Gondola on wind hold' });
+
+  const saved = JSON.parse(await fs.promises.readFile(path.join(dir, 'overrides.json'), 'utf8'));
+  assert.deepEqual(saved.crystal, getOverrides('crystal'));
+  assert.equal(saved.crystal.lifts.gondola.status, 'hold');
+
+  assert.equal(await clearSnowReport('crystal', who), null);
+  assert.equal(await clearSnowReport('crystal', who), false, 'nothing left to clear');
+  assert.deepEqual(
+    (await readAudit('crystal')).map((e) => [e.action, e.by, e.ip]),
+    [
+      ['snow.clear', 'Pat', '10.0.0.1'],
+      ['announcement.add', 'Pat', '10.0.0.1'],
+      ['lifts.set', 'Pat', '10.0.0.1'],
+      ['snow.set', 'Pat', '10.0.0.1'],
+    ]
+  );
+});
+
+test('a change that fails to save leaves the overrides as they were, unaudited', async () => {
+  const saved = getOverrides('crystal');
+  const audited = (await readAudit()).length;
+  // A directory where the temp file goes makes the write fail
+  const tmp = path.join(dir, `overrides.json.${process.pid}.tmp`);
+  await fs.promises.mkdir(tmp);
+  try {
+    await assert.rejects(setStatusOverride('crystal', who, 'lifts', 'gondola', { status: 'open' }));
+  } finally {
+    await fs.promises.rmdir(tmp);
+  }
+  assert.deepEqual(getOverrides('crystal'), saved);
+  assert.equal((await readAudit()).length, audited);
+
+  // and the next change still goes through
+  assert.equal((await setStatusOverride('crystal', who, 'lifts', 'gondola', { status: 'open' })).status, 'open');
+});
@@ -0,0 +1,200 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  OPS,
+  loadAlerts,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateAlerts,
+  readAlertHistory,
+} from '../alerts.mjs';
+
+// Stands in for SMTP: records what would be sent, and refuses one address
+const mails = [];
+const transport = {
+  async sendMail(mail) {
+    if (mail.to === 'bounce@example.com') throw new Error('550 mailbox unavailable');
+    mails.push(mail);
+  },
+};
+
+// Webhook receiver: /ok answers 204, /fail 500, /hang never answers
+const hooks = [];
+let server;
+let base;
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'alerts-'));
+  await loadAlerts({ dir, transport, emailFrom: 'alerts@example.com', timeoutMs: 200 });
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      hooks.push({ url: req.url, method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+      if (req.url === '/ok') res.writeHead(204).end();
+      else if (req.url === '/fail') res.writeHead(500).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const snow = (snow24h) => ({ resort: { id: 'crystal' }, generatedAt: 'now', FORECAST: { totals: { snow24h } } });
+const pass = (restriction) => ({
+  resort: { id: 'crystal' },
+  generatedAt: 'now',
+  ROADS: { passes: [{ name: 'Chinook Pass', restriction }] },
+});
+const firedIds = (state) => evaluateAlerts(state).map((f) => f.rule.id);
+
+// Fired alerts are delivered in the background; wait for their history lines before moving on
+async function settle(count) {
+  for (let i = 0; i < 50 && (await readAlertHistory()).length < count; i++) {
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+test('OPS compare numbers and text', () => {
+  assert.equal(OPS['>'](6, 5), true);
+  assert.equal(OPS['>'](5, 5), false);
+  assert.equal(OPS['>='](5, 5), true);
+  assert.equal(OPS['<'](4, 5), true);
+  assert.equal(OPS['<='](6, 5), false);
+  assert.equal(OPS['=='](' Closed', ' closed'), true);
+  assert.equal(OPS['!=']('Open', 'open'), false);
+});
+
+test('a threshold rule fires on the rising edge only', async () => {
+  const rule = await createRule({ name: 'Powder', resort: 'crystal', metric: 'snow24h', op: '>=', value: 6 });
+
+  assert.deepEqual(firedIds(snow(8)), [rule.id], 'already true when created');
+  assert.deepEqual(firedIds(snow(10)), [], 'still true');
+  assert.deepEqual(firedIds(snow(2)), []);
+  assert.deepEqual(firedIds(snow(7)), [rule.id]);
+  assert.deepEqual(firedIds(snow(9)), []);
+  assert.deepEqual(firedIds({ resort: { id: 'crystal' } }), [], 'missing data is skipped');
+  assert.deepEqual(firedIds(snow(9)), [], 'and does not reset the edge');
+  await settle(2);
+
+  await updateRule(rule.id, { ...rule, value: 20 });
+  assert.deepEqual(firedIds(snow(9)), [], 'an edited rule starts again');
+  await updateRule(rule.id, { ...rule, value: 8 });
+  assert.deepEqual(firedIds(snow(9)), [rule.id], 'and fires if already true');
+  assert.deepEqual(firedIds(snow(12)), []);
+  await settle(3);
+  await updateRule(rule.id, { ...rule, enabled: false });
+});
+
+test('a changes rule fires when the value differs from the last one seen', async () => {
+  const rule = await createRule({
+    name: 'Chinook',
+    resort: 'crystal',
+    metric: 'passRestriction',
+    target: 'chinook',
+    op: 'changes',
+  });
+
+  assert.deepEqual(firedIds(pass('')), []);
+  assert.deepEqual(firedIds(pass('')), []);
+  const fired = evaluateAlerts(pass('Traction tires advised'));
+  assert.deepEqual(
+    fired.map((f) => [f.rule.id, f.value, f.previous]),
+    [[rule.id, 'Traction tires advised', 'none']]
+  );
+  assert.deepEqual(firedIds(pass('Traction tires advised')), []);
+  await settle(4);
+  assert.equal((await readAlertHistory())[0].ruleId, rule.id);
+});
+
+test('rules only see states for their own resort', async () => {
+  const rule = await createRule({ name: 'Other', resort: 'crystal', metric: 'snow24h', op: '>', value: 0 });
+  assert.deepEqual(evaluateAlerts({ ...snow(0), resort: { id: 'elsewhere' } }), []);
+  await deleteRule(rule.id);
+});
+
+test('a fired alert is POSTed to each webhook, e-mailed, and logged with the results', async () => {
+  const rule = await createRule({
+    name: 'Deep',
+    resort: 'crystal',
+    metric: 'snow24h',
+    op: '>',
+    value: 10,
+    webhooks: [`${base}/ok`, `${base}/fail`, `${base}/hang`],
+    emails: ['ski@example.com', 'bounce@example.com'],
+  });
+  const state = { ...snow(14), generatedAt: '2026-01-14T12:00:00.000Z' };
+  assert.deepEqual(firedIds(state), [rule.id]);
+  await settle(5);
+
+  const payload = {
+    ruleId: rule.id,
+    ruleName: 'Deep',
+    resort: 'crystal',
+    metric: 'snow24h',
+    target: null,
+    value: 14,
+    previous: null,
+    test: false,
+    message: 'Deep: Forecast snow next 24h is 14 in (> 10)',
+    generatedAt: '2026-01-14T12:00:00.000Z',
+  };
+  assert.deepEqual(hooks.map((h) => h.url).sort(), ['/fail', '/hang', '/ok']);
+  for (const hook of hooks) {
+    assert.equal(hook.method, 'POST');
+    assert.equal(hook.type, 'application/json');
+    assert.deepEqual({ ...hook.body, id: undefined, time: undefined }, { ...payload, id: undefined, time: undefined });
+    assert.equal(hook.body.deliveries, undefined);
+  }
+
+  assert.deepEqual(
+    mails.map((m) => [m.from, m.to, m.subject]),
+    [['alerts@example.com', 'ski@example.com', payload.message]]
+  );
+
+  const lines = (await fs.promises.readFile(path.join(dir, 'history.jsonl'), 'utf8')).trim().split('\n');
+  const event = JSON.parse(lines.at(-1));
+  assert.equal(event.id, hooks[0].body.id);
+  assert.equal(event.message, payload.message);
+  const byTarget = Object.fromEntries(event.deliveries.map((d) => [d.to, d]));
+  assert.deepEqual(byTarget[`${base}/ok`], { channel: 'webhook', to: `${base}/ok`, ok: true, status: 204 });
+  assert.deepEqual(byTarget[`${base}/fail`], { channel: 'webhook', to: `${base}/fail`, ok: false, status: 500 });
+  assert.equal(byTarget[`${base}/hang`].ok, false);
+  assert.match(byTarget[`${base}/hang`].error, /timeout/i);
+  assert.deepEqual(byTarget['ski@example.com'], { channel: 'email', to: 'ski@example.com', ok: true });
+  assert.deepEqual(byTarget['bounce@example.com'], {
+    channel: 'email',
+    to: 'bounce@example.com',
+    ok: false,
+    error: '550 mailbox unavailable',
+  });
+  await deleteRule(rule.id);
+});
+
+test('a rule change that fails to save leaves the rules as they were', async () => {
+  const saved = listRules();
+  // A directory where the temp file goes makes the write fail
+  const tmp = path.join(dir, `rules.json.${process.pid}.tmp`);
+  await fs.promises.mkdir(tmp);
+  try {
+    await assert.rejects(createRule({ name: 'Lost', resort: 'crystal', metric: 'snow24h', op: '>', value: 1 }));
+    await assert.rejects(deleteRule(saved[0].id));
+    await assert.rejects(updateRule(saved[0].id, { ...saved[0], name: 'Renamed' }));
+  } finally {
+    await fs.promises.rmdir(tmp);
+  }
+  assert.equal(listRules(), saved);
+  assert.equal(listRules()[0].name, saved[0].name);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripHtml, avalancheDay, avalancheProblem, parseAvalancheForecast } from '../avalanche.mjs';
+
+// Shaped like an api.avalanche.org/v2/public/product?type=forecast response for an NWAC zone
+const product = [
+  {
+    id: 141812,
+    published_time: '2026-01-14T01:30:00+00:00',
+    expires_time: '2026-01-15T01:30:00+00:00',
+    bottom_line:
+      '<p>Wind slabs are <strong>likely</strong> near and above treeline.&nbsp;Avoid steep, wind-loaded slopes.</p>',
+    danger: [
+      { lower: 2, upper: 3, middle: 3, valid_day: 'current' },
+      { lower: 1, upper: 2, middle: 2, valid_day: 'tomorrow' },
+    ],
+    forecast_avalanche_problems: [
+      {
+        name: 'Storm Slab',
+        rank: 2,
+        likelihood: 'possible',
+        size: ['1', '1.5'],
+        location: ['north middle', 'east lower'],
+        discussion: '<p>Soft storm slabs.</p><p>Watch for cracking.</p>',
+      },
+      {
+        name: 'Wind Slab',
+        rank: 1,
+        likelihood: 'likely',
+        size: ['1', '2'],
+        location: ['north upper', 'northeast upper', 'east middle', 'bogus value'],
+        discussion: '<p>Wind slabs &amp; cornices on N&#39;ly aspects.</p>',
+      },
+    ],
+    url: 'https://nwac.us/avalanche-forecast/#/west-slopes-central',
+  },
+];
+
+test('a forecast product becomes the AVAL section', () => {
+  const aval = parseAvalancheForecast(product);
+  assert.equal(aval.level, 3);
+  assert.equal(aval.danger, 'Considerable');
+  assert.deepEqual(aval.elevations, { above: 3, near: 3, below: 2 });
+  assert.deepEqual(aval.outlook, { level: 2, danger: 'Moderate', elevations: { above: 2, near: 2, below: 1 } });
+  assert.equal(aval.summary, 'Wind slabs are likely near and above treeline. Avoid steep, wind-loaded slopes.');
+  assert.equal(aval.published, '2026-01-14T01:30:00+00:00');
+  assert.equal(aval.expires, '2026-01-15T01:30:00+00:00');
+  assert.equal(aval.link, 'https://nwac.us/avalanche-forecast/#/west-slopes-central');
+  assert.deepEqual(
+    aval.problems.map((p) => p.name),
+    ['Wind Slab', 'Storm Slab'],
+    'highest ranked first'
+  );
+});
+
+test('problems list their aspects and elevation bands in compass and band order', () => {
+  const problem = avalancheProblem(product[0].forecast_avalanche_problems[1]);
+  assert.deepEqual(problem, {
+    name: 'Wind Slab',
+    rank: 1,
+    likelihood: 'likely',
+    size: { min: 1, max: 2 },
+    locations: [
+      { aspect: 'N', band: 'above' },
+      { aspect: 'NE', band: 'above' },
+      { aspect: 'E', band: 'near' },
+    ],
+    aspects: ['N', 'NE', 'E'],
+    elevations: ['above', 'near'],
+    discussion: "Wind slabs & cornices on N'ly aspects.",
+  });
+  assert.deepEqual(avalancheProblem({}), {
+    name: 'Avalanche problem',
+    rank: null,
+    likelihood: null,
+    size: null,
+    locations: [],
+    aspects: [],
+    elevations: [],
+    discussion: null,
+  });
+});
+
+test('unrated days and elevations come back as null', () => {
+  assert.equal(avalancheDay(null), null);
+  assert.equal(avalancheDay({ lower: -1, middle: 0, upper: -1 }), null);
+  assert.deepEqual(avalancheDay({ lower: -1, middle: 2, upper: '3' }), {
+    level: 3,
+    danger: 'Considerable',
+    elevations: { above: 3, near: 2, below: null },
+  });
+
+  const off = parseAvalancheForecast({ danger: [], forecast_avalanche_problems: null });
+  assert.equal(off.level, null);
+  assert.equal(off.outlook, null);
+  assert.deepEqual(off.problems, []);
+  assert.equal(off.link, 'https://nwac.us');
+});
+
+test('stripHtml keeps paragraph breaks and decodes entities', () => {
+  assert.equal(stripHtml('<p>One</p><p>Two<br/>Three</p>'), 'One\nTwo\nThree');
+  assert.equal(stripHtml('<p></p>'), null);
+  assert.equal(stripHtml(null), null);
+});
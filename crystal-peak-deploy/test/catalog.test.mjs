@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeCatalog } from '../catalog.mjs';
+
+const entries = [
+  { id: 'rainier-express', name: 'Rainier Express', vertical: 1300 },
+  { id: 'gondola', name: 'Mt. Rainier Gondola', aliases: ['Mount Rainier Gondola'], vertical: 2400 },
+  { id: 'chair-6', name: 'Chair 6', vertical: 1000 },
+];
+
+test('live items match by id, then by name or alias, in catalog order', () => {
+  const merged = mergeCatalog(
+    [
+      { id: 99, name: 'mount rainier gondola', status: 'hold' },
+      { id: 'rainier-express', name: 'Rainier Exp.', status: 'open' },
+    ],
+    entries
+  );
+  assert.deepEqual(
+    merged.map((x) => [x.id, x.name, x.status, x.providerId]),
+    [
+      ['rainier-express', 'Rainier Express', 'open', 'rainier-express'],
+      ['gondola', 'Mt. Rainier Gondola', 'hold', 99],
+      ['chair-6', 'Chair 6', 'unknown', undefined],
+    ]
+  );
+  assert.equal(merged[1].vertical, 2400);
+});
+
+test('empty live fields do not blank catalog ones', () => {
+  const [first] = mergeCatalog([{ id: 'rainier-express', status: 'open', vertical: null, notes: '' }], entries);
+  assert.equal(first.vertical, 1300);
+  assert.equal('notes' in first, false);
+});
+
+test('a live item is used once and unknown ones come last', () => {
+  const merged = mergeCatalog(
+    [
+      { id: 1, name: 'Chair 6', status: 'open' },
+      { id: 2, name: 'Chair 6', status: 'closed' },
+      { id: 3, name: 'Quicksilver', status: 'open' },
+    ],
+    entries
+  );
+  assert.deepEqual(
+    merged.map((x) => [x.id, x.status]),
+    [
+      ['rainier-express', 'unknown'],
+      ['gondola', 'unknown'],
+      ['chair-6', 'open'],
+      [2, 'closed'],
+      [3, 'open'],
+    ]
+  );
+});
+
+test('works without a provider or a catalog', () => {
+  assert.deepEqual(
+    mergeCatalog(null, entries).map((x) => x.status),
+    ['unknown', 'unknown', 'unknown']
+  );
+  assert.deepEqual(mergeCatalog([{ id: 1, name: 'A' }]), [{ id: 1, name: 'A' }]);
+});
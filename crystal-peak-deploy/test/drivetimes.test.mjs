@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDriveTimes } from '../drivetimes.mjs';
+
+// Shaped like a GetTravelTimesAsJson response (two routes; the real feed lists a few hundred)
+const point = (Description, RoadName, MilePost, Latitude, Longitude) => ({
+  Description,
+  Direction: 'N',
+  Latitude,
+  Longitude,
+  MilePost,
+  RoadName,
+});
+const ROUTES = [
+  {
+    AverageTime: 22,
+    CurrentTime: 31,
+    Description: 'Federal Way to Tacoma using I-5',
+    Distance: 11.2,
+    EndPoint: point('I-5 @ 38th St in Tacoma', '005', 132.6, 47.2268, -122.4604),
+    Name: 'Federal Way-Tacoma',
+    StartPoint: point('I-5 @ 320th St in Federal Way', '005', 143.8, 47.3137, -122.3018),
+    TimeUpdated: '/Date(1768384800000-0800)/',
+    TravelTimeID: 110,
+  },
+  {
+    AverageTime: 0,
+    CurrentTime: 0,
+    Description: 'Tacoma to Puyallup using SR 167',
+    Distance: 9.4,
+    EndPoint: point('SR 167 @ SR 410 in Puyallup', '167', 2.1, 47.1997, -122.2643),
+    Name: 'Tacoma-Puyallup',
+    StartPoint: point('I-5 @ SR 167 in Tacoma', '005', 135.5, 47.2393, -122.4109),
+    TimeUpdated: '/Date(1768384800000-0800)/',
+    TravelTimeID: 111,
+  },
+];
+
+const origin = (segments) => ({ id: 'o', name: 'Origin', segments, baseMinutes: 60, via: ['I-5'] });
+const build = (segments) => buildDriveTimes([origin(segments)], ROUTES).origins[0];
+
+test('segments found by TravelTimeID or full name are summed with the base minutes', () => {
+  const o = build([110]);
+  assert.equal(o.current, 91);
+  assert.equal(o.average, 82);
+  assert.equal(o.complete, true);
+  assert.deepEqual(o.segments, [
+    {
+      id: 110,
+      name: 'Federal Way-Tacoma',
+      current: 31,
+      average: 22,
+      miles: 11.2,
+      updated: '2026-01-14T10:00:00.000Z',
+    },
+  ]);
+
+  assert.equal(build([' federal way-TACOMA ']).current, 91, 'name match ignores case and spacing');
+  assert.equal(build([]).current, 60);
+});
+
+test('names must match in full, not as a substring', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const o = build(['Federal Way']);
+  assert.deepEqual(o.segments[0], {
+    id: null,
+    name: 'Federal Way',
+    current: null,
+    average: null,
+    miles: null,
+    updated: null,
+  });
+  assert.equal(build(['Federal Way to Tacoma']).segments[0].id, null, 'Description is not the name');
+});
+
+test('a missing segment leaves the origin without a total, and is logged', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const { origins } = buildDriveTimes([origin([110, 999, 'Seattle-Auburn'])], ROUTES);
+  assert.equal(origins[0].current, null);
+  assert.equal(origins[0].average, null);
+  assert.equal(origins[0].complete, false);
+  assert.deepEqual(
+    origins[0].segments.map((seg) => [seg.id, seg.current]),
+    [
+      [110, 31],
+      [null, null],
+      [null, null],
+    ]
+  );
+  assert.equal(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[0], /\[drive\] o: .*999, Seattle-Auburn/);
+});
+
+test('a segment without a live time leaves the origin without a total, without logging', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const { origins } = buildDriveTimes([origin([110, 111])], ROUTES);
+  assert.equal(origins[0].current, null);
+  assert.equal(origins[0].complete, false);
+  assert.deepEqual(origins[0].segments[1], {
+    id: 111,
+    name: 'Tacoma-Puyallup',
+    current: null,
+    average: null,
+    miles: 9.4,
+    updated: '2026-01-14T10:00:00.000Z',
+  });
+  assert.equal(errors.mock.callCount(), 0);
+});
+
+test('a failed or odd response gives every origin an empty, incomplete estimate', (t) => {
+  t.mock.method(console, 'error', () => {});
+  for (const data of [null, {}, 'error']) {
+    const o = buildDriveTimes([origin([110])], data).origins[0];
+    assert.equal(o.current, null);
+    assert.equal(o.complete, false);
+  }
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isoDurationHours, gridLayerToHourly, gridLayerToHourlyInches, sumInches } from '../gridpoints.mjs';
+
+const H = 60 * 60 * 1000;
+const t0 = Date.parse('2026-01-14T06:00:00Z');
+
+test('isoDurationHours', () => {
+  assert.equal(isoDurationHours('PT1H'), 1);
+  assert.equal(isoDurationHours('PT6H'), 6);
+  assert.equal(isoDurationHours('P1D'), 24);
+  assert.equal(isoDurationHours('P1DT12H'), 36);
+  assert.equal(isoDurationHours('PT30M'), 0.5);
+  assert.equal(isoDurationHours('6 hours'), null);
+  assert.equal(isoDurationHours(undefined), null);
+});
+
+test('amounts are spread evenly over their interval, in inches', () => {
+  const byHour = gridLayerToHourlyInches({
+    uom: 'wmoUnit:mm',
+    values: [
+      { validTime: '2026-01-14T06:00:00+00:00/PT6H', value: 76.2 },
+      { validTime: '2026-01-14T12:00:00+00:00/PT1H', value: 25.4 },
+    ],
+  });
+  assert.equal(byHour.size, 7);
+  assert.ok(Math.abs(byHour.get(t0) - 0.5) < 1e-9);
+  assert.ok(Math.abs(byHour.get(t0 + 6 * H) - 1) < 1e-9);
+});
+
+test('unknown units and broken values are skipped', () => {
+  assert.equal(gridLayerToHourlyInches({ uom: 'wmoUnit:furlong', values: [] }).size, 0);
+  assert.equal(gridLayerToHourlyInches(null).size, 0);
+  const byHour = gridLayerToHourlyInches({
+    uom: 'wmoUnit:cm',
+    values: [
+      { validTime: 'garbage', value: 3 },
+      { validTime: '2026-01-14T06:00:00+00:00/PT2H', value: null },
+      { validTime: '2026-01-14T06:00:00+00:00/PT2H', value: 2.54 },
+    ],
+  });
+  assert.deepEqual(
+    [...byHour.values()].map((x) => Math.round(x * 100) / 100),
+    [0.5, 0.5]
+  );
+});
+
+test('sumInches totals a window and says when there is no data', () => {
+  const byHour = gridLayerToHourlyInches({
+    uom: 'wmoUnit:in',
+    values: [{ validTime: '2026-01-14T06:00:00+00:00/P1D', value: 12 }],
+  });
+  assert.equal(sumInches(byHour, t0, t0 + 24 * H), 12);
+  assert.equal(sumInches(byHour, t0, t0 + 6 * H), 3);
+  assert.equal(sumInches(byHour, t0 + 24 * H, t0 + 48 * H), 0);
+  assert.equal(sumInches(new Map(), t0, t0 + 24 * H), null);
+  assert.equal(sumInches(byHour, NaN, t0), null);
+});
+
+test('instantaneous layers hold their value for every hour of the interval, in served units', () => {
+  const wind = gridLayerToHourly({
+    uom: 'wmoUnit:km_h-1',
+    values: [
+      { validTime: '2026-01-14T06:00:00+00:00/PT3H', value: 40 },
+      { validTime: '2026-01-14T09:00:00+00:00/PT1H', value: 9.3 },
+    ],
+  });
+  assert.deepEqual(
+    [...wind],
+    [
+      [t0, 25],
+      [t0 + H, 25],
+      [t0 + 2 * H, 25],
+      [t0 + 3 * H, 6],
+    ]
+  );
+
+  const layer = (uom, value) => ({ uom, values: [{ validTime: '2026-01-14T06:00:00+00:00/PT1H', value }] });
+  assert.equal(gridLayerToHourly(layer('wmoUnit:m_s-1', 10)).get(t0), 22);
+  assert.equal(gridLayerToHourly(layer('wmoUnit:percent', 64)).get(t0), 64);
+  assert.equal(gridLayerToHourly(layer('wmoUnit:m', 1524)).get(t0), 1524);
+  assert.equal(gridLayerToHourly(layer('wmoUnit:ft', 5000)).get(t0), 1524, 'snow level in feet -> meters');
+});
+
+test('instantaneous layers skip empty values and unknown units', () => {
+  const sky = gridLayerToHourly({
+    uom: 'wmoUnit:percent',
+    values: [
+      { validTime: '2026-01-14T06:00:00+00:00/PT1H', value: null },
+      { validTime: '2026-01-14T07:00:00+00:00/PT1H', value: 'n/a' },
+      { validTime: 'soon/PT1H', value: 50 },
+      { validTime: '2026-01-14T08:00:00+00:00/PT1H', value: 0 },
+    ],
+  });
+  assert.deepEqual([...sky], [[t0 + 2 * H, 0]]);
+  assert.equal(
+    gridLayerToHourly({ uom: 'wmoUnit:degC', values: [{ validTime: '2026-01-14T06:00:00+00:00/PT1H', value: 1 }] })
+      .size,
+    0
+  );
+  assert.equal(gridLayerToHourly(undefined).size, 0);
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadHistory, recordSnapshot, readHistory } from '../history.mjs';
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  loadHistory({ dir });
+});
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+const state = (t, weather) => ({ resort: { id: 'crystal' }, generatedAt: t, WEATHER: weather, AVAL: null });
+
+test('snapshots are filed per resort, source and UTC day', async () => {
+  await recordSnapshot(state('2026-01-14T23:30:00.000Z', [{ temp: 20 }]), ['WEATHER', 'AVAL']);
+  await recordSnapshot(state('2026-01-15T00:30:00.000Z', [{ temp: 18 }]), ['WEATHER']);
+
+  assert.deepEqual(await fs.promises.readdir(path.join(dir, 'crystal')), ['WEATHER']);
+  assert.deepEqual((await fs.promises.readdir(path.join(dir, 'crystal', 'WEATHER'))).sort(), [
+    '2026-01-14.jsonl',
+    '2026-01-15.jsonl',
+  ]);
+});
+
+test('a range read spans day files and keeps to the range', async () => {
+  await recordSnapshot(state('2026-01-15T06:00:00.000Z', [{ temp: 25 }]), ['WEATHER']);
+
+  const all = await readHistory('crystal', 'WEATHER', Date.parse('2026-01-14T00:00Z'), Date.parse('2026-01-16T00:00Z'));
+  assert.deepEqual(
+    all.map((r) => r.data[0].temp),
+    [20, 18, 25]
+  );
+
+  const some = await readHistory(
+    'crystal',
+    'WEATHER',
+    Date.parse('2026-01-15T00:00Z'),
+    Date.parse('2026-01-15T01:00Z')
+  );
+  assert.deepEqual(some, [{ t: '2026-01-15T00:30:00.000Z', data: [{ temp: 18 }] }]);
+  assert.deepEqual(await readHistory('crystal', 'ROADS', 0, Date.parse('2026-01-16T00:00Z')), []);
+});
+
+test('a torn line is skipped', async () => {
+  await fs.promises.appendFile(path.join(dir, 'crystal', 'WEATHER', '2026-01-15.jsonl'), '{"t":"2026-01-15T07');
+  const rows = await readHistory(
+    'crystal',
+    'WEATHER',
+    Date.parse('2026-01-15T00:00Z'),
+    Date.parse('2026-01-15T12:00Z')
+  );
+  assert.equal(rows.length, 2);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  normalizeStatus,
+  validateManualStatus,
+  loadLiftProviders,
+  getManualStatus,
+  setManualStatus,
+  fetchProviderStatus,
+} from '../liftproviders.mjs';
+
+const appDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'lifts-'));
+  await loadLiftProviders({ dir });
+});
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+test('normalizeStatus folds provider spellings', () => {
+  const cases = {
+    Open: 'open',
+    Operating: 'open',
+    'Running ': 'open',
+    Y: 'open',
+    true: 'open',
+    'Wind Hold': 'hold',
+    Delayed: 'hold',
+    'On standby': 'hold',
+    'Partially open': 'partial',
+    'open - limited': 'partial',
+    Closed: 'closed',
+    close: 'closed',
+    'Closed - opens at 10': 'closed',
+    'Not open': 'closed',
+    'Not Operating': 'closed',
+    N: 'closed',
+    false: 'closed',
+    Stopped: 'closed',
+    Scheduled: 'scheduled',
+    Reopening: 'reopening',
+  };
+  for (const [input, want] of Object.entries(cases)) assert.equal(normalizeStatus(input), want, input);
+});
+
+test('normalizeStatus takes booleans and blanks', () => {
+  assert.equal(normalizeStatus(true), 'open');
+  assert.equal(normalizeStatus(false), 'closed');
+  assert.equal(normalizeStatus(null), 'unknown');
+  assert.equal(normalizeStatus('  '), 'unknown');
+});
+
+test('validateManualStatus', () => {
+  assert.equal(
+    validateManualStatus({ lifts: [{ id: 'gondola', status: 'open' }], runs: [{ id: 1, status: null }] }),
+    null
+  );
+  assert.match(validateManualStatus(null), /object/);
+  assert.match(validateManualStatus({ lifts: {} }), /array/);
+  assert.match(validateManualStatus({ runs: [{ status: 'open' }] }), /id/);
+  assert.match(validateManualStatus({ lifts: [{ id: 'gondola', status: 'running' }] }), /status/);
+});
+
+test('manual status is saved, merged with what was there, and cleared with null', async () => {
+  await setManualStatus('crystal', { lifts: [{ id: 'gondola', name: 'Gondola', status: 'open' }] });
+  const next = await setManualStatus('crystal', {
+    lifts: [{ id: 'gondola', status: 'hold' }],
+    runs: [{ id: 'lucky', name: 'Lucky Shot', status: 'closed' }],
+  });
+  assert.equal(next.lifts.gondola.name, 'Gondola');
+  assert.equal(next.lifts.gondola.status, 'hold');
+  assert.deepEqual(getManualStatus('crystal'), next);
+  assert.deepEqual(JSON.parse(await fs.promises.readFile(path.join(dir, 'manual.json'), 'utf8')), { crystal: next });
+
+  await setManualStatus('crystal', { runs: [{ id: 'lucky', status: null }] });
+  assert.deepEqual(getManualStatus('crystal').runs, {});
+});
+
+test('a manual status that fails to save leaves the status as it was', async () => {
+  const saved = getManualStatus('crystal');
+  // A directory where the temp file goes makes the write fail
+  const tmp = path.join(dir, `manual.json.${process.pid}.tmp`);
+  await fs.promises.mkdir(tmp);
+  try {
+    await assert.rejects(setManualStatus('crystal', { lifts: [{ id: 'gondola', status: 'closed' }] }));
+  } finally {
+    await fs.promises.rmdir(tmp);
+  }
+  assert.deepEqual(getManualStatus('crystal'), saved);
+  assert.equal(getManualStatus('crystal').lifts.gondola.status, 'hold');
+});
+
+test('a relative status file path is read from the app directory, not the working directory', async (t) => {
+  const file = path.join(dir, 'status.json');
+  await fs.promises.writeFile(file, JSON.stringify({ lifts: [{ id: 1, name: 'Chair 6', status: 'Open' }] }));
+  const relative = path.relative(appDir, file);
+  const resort = { id: 'x', name: 'X', liftProvider: { type: 'file', path: relative } };
+
+  // Deep enough that `relative` from here points somewhere else
+  const elsewhere = path.join(dir, ...appDir.split(path.sep).map(() => 'd'));
+  await fs.promises.mkdir(elsewhere, { recursive: true });
+  const cwd = process.cwd();
+  process.chdir(elsewhere);
+  t.after(() => process.chdir(cwd));
+  assert.notEqual(path.resolve(relative), file);
+  assert.deepEqual(await fetchProviderStatus(resort, 'lifts'), [
+    { id: 1, name: 'Chair 6', status: 'open', updated: null },
+  ]);
+  assert.deepEqual(await fetchProviderStatus(resort, 'runs'), []);
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadStatusChanges, recordStatusChanges, lastStatusChange, readStatusChanges } from '../liftstatus.mjs';
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'liftstatus-'));
+  await loadStatusChanges({ dir });
+});
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+const at = (h) => new Date(Date.UTC(2026, 0, 14, h)).toISOString();
+const lifts = (statuses) => Object.entries(statuses).map(([id, status]) => ({ id, name: id, status }));
+
+test('the first status only sets the baseline', async () => {
+  await recordStatusChanges('crystal', 'lift', lifts({ gondola: 'open', c6: 'closed' }), at(8));
+  assert.equal(lastStatusChange('crystal', 'lift', 'gondola'), null);
+  assert.deepEqual(await readStatusChanges('crystal'), []);
+});
+
+test('transitions become events and move `since`', async () => {
+  await recordStatusChanges('crystal', 'lift', lifts({ gondola: 'hold', c6: 'closed' }), at(9));
+  await recordStatusChanges('crystal', 'lift', [{ id: 'gondola', name: 'gondola', status: 'open', updated: at(10) }]);
+
+  assert.equal(lastStatusChange('crystal', 'lift', 'gondola'), at(10));
+  assert.equal(lastStatusChange('crystal', 'lift', 'c6'), null);
+  assert.deepEqual(
+    (await readStatusChanges('crystal')).map((e) => [e.t, e.id, e.from, e.to]),
+    [
+      [at(10), 'gondola', 'hold', 'open'],
+      [at(9), 'gondola', 'open', 'hold'],
+    ]
+  );
+});
+
+test('unknown is not a transition', async () => {
+  await recordStatusChanges('crystal', 'lift', lifts({ gondola: 'unknown' }), at(11));
+  await recordStatusChanges('crystal', 'lift', lifts({ gondola: 'open' }), at(12));
+  assert.equal(lastStatusChange('crystal', 'lift', 'gondola'), at(10));
+  assert.equal((await readStatusChanges('crystal')).length, 2);
+});
+
+test('lifts and runs are logged apart and can be filtered', async () => {
+  await recordStatusChanges('crystal', 'run', lifts({ gondola: 'open' }), at(8));
+  await recordStatusChanges('crystal', 'run', lifts({ gondola: 'closed' }), at(13));
+  assert.equal(lastStatusChange('crystal', 'lift', 'gondola'), at(10));
+  assert.equal(lastStatusChange('crystal', 'run', 'gondola'), at(13));
+
+  assert.deepEqual(
+    (await readStatusChanges('crystal', { kind: 'run' })).map((e) => e.to),
+    ['closed']
+  );
+  assert.deepEqual(
+    (await readStatusChanges('crystal', { kind: 'lift', since: Date.parse(at(10)) })).map((e) => e.to),
+    ['open']
+  );
+  assert.equal((await readStatusChanges('crystal', { limit: 1 }))[0].kind, 'run');
+  assert.deepEqual(await readStatusChanges('stevens'), []);
+});
+
+test('the baseline is saved for the next start', async () => {
+  await loadStatusChanges({ dir });
+  assert.equal(lastStatusChange('crystal', 'run', 'gondola'), at(13));
+});
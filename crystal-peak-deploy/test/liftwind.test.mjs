@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcLiftWind } from '../liftwind.mjs';
+
+const now = Date.UTC(2026, 0, 14, 17, 20);
+const hourly = (gusts) =>
+  gusts.map((gust, i) => ({ startTime: new Date(Date.UTC(2026, 0, 14, 17 + i)).toISOString(), gust }));
+
+test('no gust forecast, no estimate', () => {
+  assert.equal(calcLiftWind({ FORECAST: { hourly: [] } }, now), null);
+  assert.equal(calcLiftWind({ FORECAST: { hourly: hourly([null, null]) } }, now), null);
+});
+
+test('hold probability follows each lift exposure and threshold', () => {
+  const state = {
+    FORECAST: { hourly: hourly([40, 40]) },
+    LIFTS: [
+      { id: 'gondola', name: 'Gondola', exposure: 'gondola' },
+      { id: 'c6', name: 'Chair 6', exposure: 'sheltered' },
+      { id: 'new', name: 'New chair' },
+      { id: 'tuned', name: 'Tuned chair', exposure: 'sheltered', holdGust: 30 },
+    ],
+  };
+  const { lifts } = calcLiftWind(state, now);
+  const byId = Object.fromEntries(lifts.map((l) => [l.id, l]));
+
+  // 40 mph gusts: the gondola sees 48 against a 40 hold, the sheltered chair 34 against 55
+  assert.equal(byId.gondola.hourly[0].gust, 48);
+  assert.ok(byId.gondola.now > 80);
+  assert.ok(byId.c6.now < 5);
+  assert.equal(byId.new.exposure, 'exposed');
+  assert.equal(byId.new.assumed, true);
+  assert.equal(byId.tuned.holdGust, 30);
+  assert.ok(byId.tuned.now > byId.c6.now);
+  assert.deepEqual(
+    lifts.map((l) => l.id),
+    ['gondola', 'tuned', 'new', 'c6']
+  );
+});
+
+test('station gusts above the forecast carry into the next hours, fading out', () => {
+  const state = {
+    FORECAST: { hourly: hourly([30, 30, 30, 30]) },
+    WEATHER: [{ gust: 42 }, { gust: 20 }],
+    LIFTS: [{ id: 'c6', name: 'Chair 6', exposure: 'exposed' }],
+  };
+  const wind = calcLiftWind(state, now);
+  assert.equal(wind.stationGust, 42);
+  assert.equal(wind.bias, 12);
+  // 30 + 12 * (1, 3/4, 1/2, 1/4), then the exposed factor of 1.1
+  assert.deepEqual(
+    wind.lifts[0].hourly.map((h) => h.gust),
+    [46, 43, 40, 36]
+  );
+  assert.equal(wind.lifts[0].peakAt, state.FORECAST.hourly[0].startTime);
+});
+
+test('hours before the current one are skipped', () => {
+  const rows = hourly([50, 10]).map((h, i) => ({ ...h, startTime: new Date(now - (1 - i) * 3600e3).toISOString() }));
+  const wind = calcLiftWind({ FORECAST: { hourly: rows }, LIFTS: [{ id: 'c6', exposure: 'exposed' }] }, now);
+  assert.equal(wind.lifts[0].hourly.length, 1);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRestriction, passRestrictions } from '../restrictions.mjs';
+
+// [RestrictionText, level, oversizeProhibited, heavyChains], worded the way WSDOT pass reports are
+const CASES = [
+  ['No restrictions', 'none', false, false],
+  ['No restrictions.', 'none', false, false],
+  ['Traction tires advised.', 'advised', false, false],
+  ['Traction Tires Advised, Oversize Vehicles Prohibited.', 'advised', true, false],
+  ['Traction tires are required. Oversize vehicles are prohibited.', 'traction', true, false],
+  [
+    'Traction tires are required. Chains are required on vehicles over 10,000 GVW. Oversize vehicles are prohibited.',
+    'traction',
+    true,
+    true,
+  ],
+  ['Chains are required on all vehicles over 10,000 GVW.', 'none', false, true],
+  [
+    'Chains are required on vehicles over 10,000 GVW. Traction tires are required on all vehicles.',
+    'traction',
+    false,
+    true,
+  ],
+  ['Chains are required on commercial vehicles.', 'none', false, true],
+  ['Oversize vehicles are prohibited.', 'none', true, false],
+  ['Chains are required on all vehicles except all wheel drives.', 'chains-awd-exempt', false, false],
+  [
+    'Chains are required on all vehicles except all-wheel drive vehicles. Oversize vehicles are prohibited.',
+    'chains-awd-exempt',
+    true,
+    false,
+  ],
+  ['Chains are required on all vehicles.', 'chains', false, false],
+  ['Pass closed', 'closed', false, false],
+  ['Pass closed due to avalanche control.', 'closed', false, false],
+  ['The roadway is closed for the season.', 'closed', false, false],
+  ['Expect delays for avalanche control', 'unknown', false, false],
+  ['', 'none', false, false],
+  [null, 'none', false, false],
+];
+
+for (const [text, level, oversizeProhibited, heavyChains] of CASES) {
+  test(`parseRestriction: ${JSON.stringify(text)}`, () => {
+    assert.deepEqual(parseRestriction(text), { level, oversizeProhibited, heavyChains });
+  });
+}
+
+test('a closed direction of travel wins over the restriction text', () => {
+  assert.equal(parseRestriction('No restrictions', 'Closed').level, 'closed');
+  assert.equal(parseRestriction('No restrictions', 'Open').level, 'none');
+});
+
+test('an east-west pass keeps its two restrictions in order', () => {
+  const [one, two] = passRestrictions({
+    MountainPassName: 'Chinook Pass SR 410',
+    RestrictionOne: { TravelDirection: 'Eastbound', RestrictionText: 'Traction tires advised.' },
+    RestrictionTwo: { TravelDirection: 'Westbound', RestrictionText: 'No restrictions' },
+    TravelWestbound: 'Closed',
+  });
+  assert.deepEqual(one, {
+    direction: 'Eastbound',
+    text: 'Traction tires advised.',
+    level: 'advised',
+    oversizeProhibited: false,
+    heavyChains: false,
+  });
+  assert.equal(two.direction, 'Westbound');
+  assert.equal(two.level, 'closed');
+});
+
+test('a north-south pass fills both slots with its real directions', () => {
+  const [one, two] = passRestrictions({
+    MountainPassName: 'Blewett Pass US 97',
+    RestrictionOne: { TravelDirection: 'Northbound', RestrictionText: 'Chains are required on all vehicles.' },
+    RestrictionTwo: {
+      TravelDirection: 'Southbound',
+      RestrictionText: 'Traction tires are required. Chains are required on vehicles over 10,000 GVW.',
+    },
+  });
+  assert.equal(one.direction, 'Northbound');
+  assert.equal(one.level, 'chains');
+  assert.equal(two.direction, 'Southbound');
+  assert.equal(two.level, 'traction');
+  assert.equal(two.heavyChains, true);
+});
+
+test('a direction with no restriction entry is unknown, not none', () => {
+  const [one, two] = passRestrictions({
+    MountainPassName: 'Satus Pass US 97',
+    RestrictionOne: { TravelDirection: 'NORTHBOUND', RestrictionText: 'No restrictions' },
+    RestrictionTwo: null,
+  });
+  assert.equal(one.direction, 'Northbound');
+  assert.equal(one.level, 'none');
+  assert.deepEqual(two, {
+    direction: null,
+    text: null,
+    level: 'unknown',
+    oversizeProhibited: false,
+    heavyChains: false,
+  });
+  assert.deepEqual(
+    passRestrictions({}).map((r) => r.level),
+    ['unknown', 'unknown']
+  );
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcSkiScore } from '../skiscore.mjs';
+
+// Hourly NWS-style rows for one local day ("2026-01-14T09:00:00-08:00")
+const day = (date, fields = {}) =>
+  Array.from({ length: 24 }, (_, h) => ({
+    startTime: `${date}T${String(h).padStart(2, '0')}:00:00-08:00`,
+    temp: 25,
+    gust: 15,
+    text: 'Sunny',
+    snow: 0,
+    ...fields,
+  }));
+
+test('no forecast, no score', () => {
+  assert.equal(calcSkiScore({}), null);
+  assert.equal(calcSkiScore({ FORECAST: { hourly: [] } }), null);
+});
+
+test('snow after 4 PM counts toward the next day', () => {
+  const hourly = [...day('2026-01-14'), ...day('2026-01-15')].map((h) =>
+    h.startTime.startsWith('2026-01-14T2') ? { ...h, snow: 1 } : h
+  );
+  const { days } = calcSkiScore({ FORECAST: { hourly } });
+  const newSnow = (d) => d.factors.find((f) => f.id === 'newSnow').value;
+  assert.deepEqual(
+    days.map((d) => [d.date, newSnow(d)]),
+    [
+      ['2026-01-14', 0],
+      ['2026-01-15', 4],
+    ]
+  );
+});
+
+test('a powder day outranks a windy rain day', () => {
+  const hourly = [
+    ...day('2026-01-14', { gust: 55, temp: 38, text: 'Rain' }),
+    ...day('2026-01-15', { snow: 0.5, text: 'Snow Showers' }),
+  ];
+  const score = calcSkiScore({ FORECAST: { hourly }, AVAL: { level: 2, danger: 'Moderate' } });
+  assert.deepEqual(score.best, ['2026-01-15', '2026-01-14']);
+  assert.equal(score.today.date, '2026-01-14');
+  assert.ok(score.today.score < 40, `windy rain scored ${score.today.score}`);
+  assert.equal(score.days[1].grade, 'Epic');
+  // Avalanche danger only counts for today and the outlook day
+  assert.ok(score.today.factors.some((f) => f.id === 'avalanche'));
+  assert.ok(!score.days[1].factors.some((f) => f.id === 'avalanche'));
+});
+
+test('station gusts only weigh on today', () => {
+  const hourly = [...day('2026-01-14'), ...day('2026-01-15')];
+  const { days } = calcSkiScore({ FORECAST: { hourly }, WEATHER: [{ gust: 60 }, { gust: null }] });
+  const wind = (d) => d.factors.find((f) => f.id === 'wind').value;
+  assert.deepEqual(days.map(wind), [60, 15]);
+});
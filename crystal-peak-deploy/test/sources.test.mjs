@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SOURCE_TTL_MS, SOURCE_RETRY_MS, refreshDue, readSource, getEntry, sourceStatus } from '../sources.mjs';
+
+const NOW = Date.parse('2026-01-14T12:00:00Z');
+let nextId = 0;
+const resort = () => ({ id: `r${nextId++}` });
+
+function source(fetch) {
+  return { key: 'AVAL', tag: 'test', provider: 'Test', fetch, empty: [] };
+}
+
+test('a source is due once its TTL has passed since the last attempt', () => {
+  const src = source();
+  const ttl = SOURCE_TTL_MS.AVAL;
+  assert.equal(refreshDue(src, { checkedAt: 0, error: null }, NOW), true);
+  assert.equal(refreshDue(src, { checkedAt: NOW - ttl + 1, error: null }, NOW), false);
+  assert.equal(refreshDue(src, { checkedAt: NOW - ttl, error: null }, NOW), true);
+  // never two at once
+  assert.equal(refreshDue(src, { checkedAt: 0, error: null, refreshing: Promise.resolve() }, NOW), false);
+});
+
+test('a failed source is retried after the retry delay, not the TTL', () => {
+  const src = source();
+  assert.ok(SOURCE_RETRY_MS < SOURCE_TTL_MS.AVAL);
+  assert.equal(refreshDue(src, { checkedAt: NOW - SOURCE_RETRY_MS + 1, error: 'boom' }, NOW), false);
+  assert.equal(refreshDue(src, { checkedAt: NOW - SOURCE_RETRY_MS, error: 'boom' }, NOW), true);
+});
+
+test('readSource waits for the first fetch, then serves from the cache until the TTL passes', async () => {
+  const r = resort();
+  const fetch = mock.fn(async () => ['fresh']);
+  const src = source(fetch);
+
+  const entry = await readSource(r, src);
+  assert.deepEqual(entry.value, ['fresh']);
+  assert.equal(entry.error, null);
+  assert.equal(fetch.mock.callCount(), 1);
+
+  await readSource(r, src);
+  assert.equal(fetch.mock.callCount(), 1);
+
+  // TTL passed: the old value is served while the refresh runs
+  entry.checkedAt -= SOURCE_TTL_MS.AVAL;
+  let finish;
+  fetch.mock.mockImplementation(() => new Promise((resolve) => (finish = resolve)));
+  const stale = await readSource(r, src);
+  assert.deepEqual(stale.value, ['fresh']);
+  const refreshing = stale.refreshing;
+  assert.ok(refreshing);
+  finish(['newer']);
+  await refreshing;
+  assert.deepEqual(entry.value, ['newer']);
+  assert.equal(fetch.mock.callCount(), 2);
+});
+
+test('a failed refresh keeps the last good value and records why', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const r = resort();
+  const src = source(async () => ['good']);
+  const entry = await readSource(r, src);
+
+  entry.checkedAt -= SOURCE_TTL_MS.AVAL;
+  src.fetch = async () => {
+    const err = new Error('AVAL failed: 503');
+    err.status = 503;
+    throw err;
+  };
+  await readSource(r, src);
+  await entry.refreshing;
+
+  assert.deepEqual(entry.value, ['good']);
+  assert.equal(entry.error, 'AVAL failed: 503');
+  assert.equal(entry.httpStatus, 503);
+
+  const status = sourceStatus(r, src, entry, entry.fetchedAt + 1000);
+  assert.equal(status.status, 'error');
+  assert.equal(status.hasData, true);
+  assert.equal(status.error, 'AVAL failed: 503');
+});
+
+test('an unconfigured source is never fetched', async () => {
+  const r = resort();
+  const fetch = mock.fn(async () => ['x']);
+  const src = { ...source(fetch), missing: () => 'KEY is not set' };
+
+  const entry = await readSource(r, src);
+  assert.deepEqual(entry.value, []);
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.equal(sourceStatus(r, src, entry, NOW).status, 'unconfigured');
+  assert.equal(sourceStatus(r, src, entry, NOW).error, 'KEY is not set');
+});
+
+test('sourceStatus reports age against the TTL', () => {
+  const src = { ...source(), provider: (r) => `Test ${r.id}` };
+  const r = resort();
+  const entry = getEntry(r, src);
+  assert.equal(sourceStatus(r, src, entry, NOW).status, 'pending');
+  assert.equal(sourceStatus(r, src, entry, NOW).stale, true);
+
+  Object.assign(entry, { fetchedAt: NOW - 60 * 1000, checkedAt: NOW - 60 * 1000, httpStatus: 200 });
+  const fresh = sourceStatus(r, src, entry, NOW);
+  assert.equal(fresh.status, 'ok');
+  assert.equal(fresh.provider, `Test ${r.id}`);
+  assert.equal(fresh.ageSec, 60);
+  assert.equal(fresh.ttlSec, SOURCE_TTL_MS.AVAL / 1000);
+  assert.equal(fresh.stale, false);
+  assert.equal(fresh.lastSuccess, '2026-01-14T11:59:00.000Z');
+
+  assert.equal(sourceStatus(r, src, entry, entry.fetchedAt + SOURCE_TTL_MS.AVAL + 1).stale, true);
+});